@@ -0,0 +1,29 @@
+/**
+ * Stream: Pipe WebP bytes through a conversion stream
+ */
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const WebPConverter = require('../index.js');
+
+const outDir = path.join(__dirname, 'out');
+if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+
+async function run() {
+  const converter = new WebPConverter({ quality: 80 });
+  const input = path.join(__dirname, 'images', 'animated.webp');
+  const output = path.join(outDir, 'streamed.gif');
+
+  await pipeline(
+    fs.createReadStream(input),
+    converter.createConvertStream({ format: 'gif' }),
+    fs.createWriteStream(output)
+  );
+  console.log('Stream result:', output);
+}
+
+if (require.main === module) {
+  run().catch(err => { console.error(err); process.exit(1); });
+}
+
+module.exports = { run };
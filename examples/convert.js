@@ -3,6 +3,7 @@ const { run: basic } = require('./01-basic-single');
 const { run: auto } = require('./02-auto-output');
 const { run: batch } = require('./03-batch-jobs');
 const { run: transparent } = require('./04-transparent-color');
+const { run: stream } = require('./05-stream');
 
 async function runExamples() {
     console.log('Running examples...');
@@ -10,6 +11,7 @@ async function runExamples() {
     await auto();
     await batch();
     await transparent();
+    await stream();
     console.log('Done. See outputs in examples/out and alongside inputs.');
 }
 
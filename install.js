@@ -3,33 +3,47 @@
  * @description Post-install script for downloading and setting up libwebp binaries
  * @author caed0
  * @version 2.1.2
- * 
+ *
  * This script automatically downloads the appropriate libwebp binary package
- * based on the current operating system and CPU architecture, extracts it,
- * and sets up the directory structure required by the converter.
- * 
+ * based on the current operating system and CPU architecture, verifies its checksum,
+ * extracts it, and sets up the directory structure required by the converter.
+ *
+ * Environment variables:
+ * - `WEBP_CONV_ARCHIVE`: install from a local archive instead of downloading
+ * - `WEBP_CONV_MIRROR`: base URL of a mirror of the libwebp release folder
+ * - `WEBP_CONV_ARCHIVE_SHA256`: expected SHA-256 of a custom archive, replacing the pinned one
+ * - `WEBP_CONV_SKIP_DOWNLOAD`: skip provisioning; binaries can be provided later
+ * - `HTTPS_PROXY`/`HTTP_PROXY`/`NO_PROXY` (or npm's `proxy`/`https-proxy` settings): proxy for downloads
+ *
  * @requires child_process
+ * @requires crypto
  * @requires os
  * @requires path
  * @requires fs
+ * @requires http
  * @requires https
+ * @requires tls
  */
 
 const { execSync } = require("child_process");
+const crypto = require("crypto");
 const os = require("os");
 const path = require("path");
 const fs = require("fs");
+const http = require("http");
 const https = require("https");
+const tls = require("tls");
+const { ARCHIVES, getArchiveName } = require("./src/platforms.js");
 
 /**
- * @constant {string} LIBWEBP_VERSION - Version of libwebp to download
+ * @constant {string} DEFAULT_BASE_URL - Official location of libwebp releases
  */
-const LIBWEBP_VERSION = "1.5.0";
+const DEFAULT_BASE_URL = `https://storage.googleapis.com/downloads.webmproject.org/releases/webp/`;
 
 /**
- * @constant {string} BASE_URL - Base URL for libwebp releases
+ * @constant {string} BASE_URL - Base URL for libwebp releases, `WEBP_CONV_MIRROR` when set
  */
-const BASE_URL = `https://storage.googleapis.com/downloads.webmproject.org/releases/webp/`;
+const BASE_URL = (process.env.WEBP_CONV_MIRROR || DEFAULT_BASE_URL).replace(/\/?$/, "/");
 
 /**
  * @constant {string} EXTRACT_DIR - Target directory for extracted files
@@ -46,77 +60,282 @@ const PLATFORM = os.platform();
  */
 const ARCH = os.arch();
 
-let fileName = null;
-
-if (PLATFORM === "linux" && ARCH === "x64") {
-  fileName = `libwebp-${LIBWEBP_VERSION}-linux-x86-64.tar.gz`;
-} else if (PLATFORM === "linux" && ARCH === "arm64") {
-  fileName = `libwebp-${LIBWEBP_VERSION}-linux-aarch64.tar.gz`;
-} else if (PLATFORM === "darwin" && ARCH === "x64") {
-  fileName = `libwebp-${LIBWEBP_VERSION}-mac-x86-64.tar.gz`;
-} else if (PLATFORM === "darwin" && ARCH === "arm64") {
-  fileName = `libwebp-${LIBWEBP_VERSION}-mac-arm64.tar.gz`;
-} else if (PLATFORM === "win32" && ARCH === "x64") {
-  fileName = `libwebp-${LIBWEBP_VERSION}-windows-x64.zip`;
-} else {
-  console.error("❌ Unsupported OS or architecture:", PLATFORM, ARCH);
+/**
+ * @constant {Object<string, ?string>} CHECKSUMS - Pinned SHA-256 of each release archive.
+ * Update together with LIBWEBP_VERSION (src/platforms.js) from the official release files.
+ * Archives whose checksum is not pinned yet are installed with a warning; set
+ * `WEBP_CONV_ARCHIVE_SHA256` to verify them anyway.
+ */
+const CHECKSUMS = {
+  [ARCHIVES["linux-x64"]]: null,
+  [ARCHIVES["linux-arm64"]]: null,
+  [ARCHIVES["darwin-x64"]]: null,
+  [ARCHIVES["darwin-arm64"]]: null,
+  [ARCHIVES["win32-x64"]]: null,
+};
+
+/**
+ * @constant {number} MAX_REDIRECTS - Redirects followed before a download is given up
+ */
+const MAX_REDIRECTS = 5;
+
+/**
+ * Checks whether an environment flag is switched on.
+ * @param {string} name - Environment variable name
+ * @returns {boolean} True for any value other than empty, `0` and `false`
+ */
+function isEnabled(name) {
+  const value = process.env[name];
+  return Boolean(value) && !["0", "false"].includes(value.toLowerCase());
+}
+
+/**
+ * Prints an error with hints for firewalled environments and exits with a failure code.
+ * @param {string} message - What went wrong
+ * @param {Error} [error] - Underlying error
+ */
+function fail(message, error) {
+  console.error(`❌ ${message}${error ? `: ${error.message}` : ""}`);
+  console.error(
+    "   To install without network access, set WEBP_CONV_ARCHIVE to a local copy of the archive " +
+      "or WEBP_CONV_MIRROR to a mirror. Set WEBP_CONV_SKIP_DOWNLOAD=1 to skip this step and " +
+      "provide the binaries later (see the 'binaries' option and WEBP_CONV_LIBWEBP_DIR)."
+  );
   process.exit(1);
 }
 
-const fileUrl = BASE_URL + fileName;
-const outputFile = path.join(__dirname, fileName);
+/**
+ * Finds the proxy to use for a URL from the standard proxy variables and npm's settings.
+ * @param {URL} url - URL to request
+ * @returns {?URL} Proxy URL, or null to connect directly
+ */
+function getProxy(url) {
+  const env = process.env;
+  const noProxy = (env.NO_PROXY || env.no_proxy || env.npm_config_noproxy || "")
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+  const host = url.hostname.toLowerCase();
+  if (noProxy.some((entry) => entry === "*" || host === entry.replace(/^\./, "") || host.endsWith(`.${entry.replace(/^\./, "")}`))) {
+    return null;
+  }
+  const proxy =
+    url.protocol === "https:"
+      ? env.HTTPS_PROXY || env.https_proxy || env.npm_config_https_proxy || env.HTTP_PROXY || env.http_proxy || env.npm_config_proxy
+      : env.HTTP_PROXY || env.http_proxy || env.npm_config_proxy;
+  return proxy ? new URL(proxy) : null;
+}
+
+/**
+ * Builds the `Proxy-Authorization` header for credentials embedded in a proxy URL.
+ * @param {URL} proxy - Proxy URL
+ * @returns {Object} Headers to send to the proxy
+ */
+function proxyHeaders(proxy) {
+  if (!proxy.username) return {};
+  const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return { "Proxy-Authorization": `Basic ${Buffer.from(credentials).toString("base64")}` };
+}
 
 /**
- * Downloads a file from URL to local destination
+ * Opens a TLS connection to an HTTPS host through an HTTP proxy tunnel (`CONNECT`).
+ * @param {URL} proxy - Proxy URL
+ * @param {URL} url - URL to request
+ * @returns {Promise<tls.TLSSocket>} Socket connected to the target host
+ */
+function tunnel(proxy, url) {
+  const port = url.port || 443;
+  return new Promise((resolve, reject) => {
+    (proxy.protocol === "https:" ? https : http)
+      .request({
+        host: proxy.hostname,
+        port: proxy.port || (proxy.protocol === "https:" ? 443 : 80),
+        method: "CONNECT",
+        path: `${url.hostname}:${port}`,
+        headers: { Host: `${url.hostname}:${port}`, ...proxyHeaders(proxy) },
+      })
+      .on("connect", (response, socket) => {
+        if (response.statusCode !== 200) {
+          socket.destroy();
+          reject(new Error(`Proxy refused the connection (HTTP ${response.statusCode})`));
+          return;
+        }
+        resolve(tls.connect({ socket, servername: url.hostname }));
+      })
+      .on("error", reject)
+      .end();
+  });
+}
+
+/**
+ * Sends a GET request, going through a proxy when one is configured.
+ * @param {URL} url - URL to request
+ * @returns {Promise<http.IncomingMessage>} Response
+ */
+async function request(url) {
+  const proxy = getProxy(url);
+  const options = {};
+  let target = url;
+  if (proxy && url.protocol === "https:") {
+    const socket = await tunnel(proxy, url);
+    options.createConnection = () => socket;
+  } else if (proxy) {
+    // Plain HTTP goes to the proxy with the absolute URL as request path.
+    target = proxy;
+    Object.assign(options, { path: url.href, headers: { Host: url.host, ...proxyHeaders(proxy) } });
+  }
+  return new Promise((resolve, reject) => {
+    (target.protocol === "https:" ? https : http)
+      .get(target, options, resolve)
+      .on("error", reject);
+  });
+}
+
+/**
+ * Downloads a file from URL to local destination, following redirects
  * @param {string} url - URL of file to download
  * @param {string} dest - Local destination path
- * @param {Function} callback - Callback function to execute on completion
- * @throws {Error} Terminates process on download failure or HTTP error
- */
-function downloadFile(url, dest, callback) {
-  console.log(`► Downloading: ${url}`);
-  const file = fs.createWriteStream(dest);
-  https
-    .get(url, (response) => {
-      if (response.statusCode !== 200) {
-        console.error(`❌ Failed to download: ${url}`);
-        process.exit(1);
-      }
+ * @returns {Promise<void>} Resolves once the file is written
+ * @throws {Error} On HTTP errors, too many redirects or network failures
+ */
+async function downloadFile(url, dest) {
+  let current = new URL(url);
+  for (let redirects = 0; ; redirects++) {
+    const response = await request(current);
+    const { statusCode, headers } = response;
+
+    if ([301, 302, 303, 307, 308].includes(statusCode) && headers.location) {
+      response.resume();
+      if (redirects === MAX_REDIRECTS) throw new Error(`Too many redirects (${url})`);
+      current = new URL(headers.location, current);
+      console.log(`↪ Redirected to: ${current.href}`);
+      continue;
+    }
+    if (statusCode !== 200) {
+      response.resume();
+      throw new Error(`HTTP ${statusCode} (${current.href})`);
+    }
+
+    await new Promise((resolve, reject) => {
+      const file = fs.createWriteStream(dest);
       response.pipe(file);
-      file.on("finish", () => {
-        file.close(callback);
-      });
-    })
-    .on("error", (err) => {
-      console.error("❌ Download error:", err);
-      process.exit(1);
+      response.on("error", reject);
+      file.on("error", reject);
+      file.on("finish", () => file.close(resolve));
     });
+    return;
+  }
 }
 
-downloadFile(fileUrl, outputFile, () => {
-  console.log(`✅ Downloaded ${fileName}`);
+/**
+ * Computes the SHA-256 of a file.
+ * @param {string} file - Path to the file
+ * @returns {Promise<string>} Hex digest
+ */
+function sha256(file) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(file)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+}
 
+/**
+ * Checks an archive against its expected SHA-256: `WEBP_CONV_ARCHIVE_SHA256` when set,
+ * otherwise the pinned checksum of the release archive.
+ * @param {string} file - Path to the archive
+ * @param {string} fileName - Release archive name for this platform
+ * @returns {Promise<void>} Resolves when the checksum matches or none is known
+ * @throws {Error} When the checksum does not match
+ */
+async function verifyChecksum(file, fileName) {
+  const expected = (process.env.WEBP_CONV_ARCHIVE_SHA256 || CHECKSUMS[fileName] || "").toLowerCase();
+  if (!expected) {
+    console.warn(
+      `⚠️  No SHA-256 is pinned for ${fileName}, skipping checksum verification. ` +
+        "Set WEBP_CONV_ARCHIVE_SHA256 to the checksum published with the release to verify it."
+    );
+    return;
+  }
+  const actual = await sha256(file);
+  if (actual !== expected) {
+    throw new Error(`SHA-256 mismatch for ${file}: expected ${expected}, got ${actual}`);
+  }
+  console.log("✅ Checksum verified");
+}
+
+/**
+ * Extracts a libwebp archive and moves its contents to EXTRACT_DIR.
+ * @param {string} archive - Path to the .tar.gz or .zip archive
+ */
+function extractArchive(archive) {
+  const staging = fs.mkdtempSync(path.join(__dirname, ".libwebp-"));
   try {
+    const flags = archive.endsWith(".zip") ? "-xf" : "-xzf";
+    execSync(`tar ${flags} "${archive}" -C "${staging}"`, { stdio: "inherit" });
+
+    const extractedDir = fs.readdirSync(staging).find((dir) => dir.startsWith("libwebp-"));
+    if (!extractedDir) throw new Error("Archive does not contain a libwebp-* folder");
     if (fs.existsSync(EXTRACT_DIR)) fs.rmSync(EXTRACT_DIR, { recursive: true });
+    fs.renameSync(path.join(staging, extractedDir), EXTRACT_DIR);
+  } finally {
+    fs.rmSync(staging, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Provisions the libwebp binaries for the current platform.
+ * @returns {Promise<void>} Resolves once the binaries are in place or provisioning was skipped
+ */
+async function install() {
+  if (isEnabled("WEBP_CONV_SKIP_DOWNLOAD")) {
+    console.log(
+      "ℹ️  WEBP_CONV_SKIP_DOWNLOAD is set, skipping the libwebp download. Provide dwebp and anim_dump " +
+        "through the 'binaries' option, WEBP_CONV_LIBWEBP_DIR or PATH, run `node install.js` later, " +
+        "or use another backend such as 'wasm'."
+    );
+    return;
+  }
 
-    if (PLATFORM === "win32") {
-      execSync(`tar -xf "${outputFile}" -C "${__dirname}"`, {
-        stdio: "inherit",
-      });
-    } else {
-      execSync(`tar -xzf "${outputFile}" -C "${__dirname}"`, {
-        stdio: "inherit",
-      });
+  const fileName = getArchiveName(PLATFORM, ARCH);
+  if (!fileName) {
+    console.warn(
+      `⚠️  No libwebp binaries are available for ${PLATFORM} ${ARCH}, skipping the download. ` +
+        "Use the 'wasm' or 'sharp' backend, or provide dwebp and anim_dump through the 'binaries' " +
+        "option, WEBP_CONV_LIBWEBP_DIR or PATH."
+    );
+    return;
+  }
+
+  const localArchive = process.env.WEBP_CONV_ARCHIVE;
+  const archive = localArchive ? path.resolve(localArchive) : path.join(__dirname, fileName);
+
+  if (localArchive) {
+    if (!fs.existsSync(archive)) fail(`WEBP_CONV_ARCHIVE does not exist (${archive})`);
+    console.log(`► Using local archive: ${archive}`);
+  } else {
+    const fileUrl = BASE_URL + fileName;
+    console.log(`► Downloading: ${fileUrl}`);
+    try {
+      await downloadFile(fileUrl, archive);
+    } catch (error) {
+      fs.rmSync(archive, { force: true });
+      fail(`Failed to download ${fileUrl}`, error);
     }
+    console.log(`✅ Downloaded ${fileName}`);
+  }
 
-    const extractedDir = fs
-      .readdirSync(__dirname)
-      .find((dir) => dir.startsWith(`libwebp-${LIBWEBP_VERSION}`));
-    fs.renameSync(path.join(__dirname, extractedDir), EXTRACT_DIR);
-    fs.unlinkSync(outputFile);
-    console.log("✅ Extracted and renamed successfully!");
+  try {
+    await verifyChecksum(archive, fileName);
+    extractArchive(archive);
   } catch (error) {
-    console.error("❌ Extraction failed:", error);
-    process.exit(1);
+    if (!localArchive) fs.rmSync(archive, { force: true });
+    fail("Installation failed", error);
   }
-});
+  if (!localArchive) fs.unlinkSync(archive);
+  console.log("✅ Extracted and renamed successfully!");
+}
+
+install();
@@ -7,90 +7,397 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execFile } = require('child_process');
-const { Image } = require("node-webpmux");
-const GIFEncoder = require('gif-encoder-2');
-const { loadImage, createCanvas } = require('canvas');
+const { Transform } = require('stream');
+const EventEmitter = require('events');
 const os = require("os");
+const { performance } = require('perf_hooks');
+const { HEADER_SIZE, isWebP, parseWebP, probeWebP } = require('./riff.js');
+const { BatchError, AbortError } = require('./errors.js');
+const { createAbortScope, throwIfAborted, toAbortError, validateSignal, validateTimeout } = require('./abort.js');
+const { encodeGif } = require('./gif.js');
+const { encodePng } = require('./png.js');
+const { encodeApng } = require('./apng.js');
+const { encodeJpeg } = require('./jpeg.js');
+const wasm = require('./backends/wasm.js');
+const { registerBackend, listBackends, resolveBackend } = require('./backends/index.js');
+const { WorkerPool, transferable } = require('./WorkerPool.js');
+const { diagnose } = require('./doctor.js');
+const { OUTPUT_FORMATS, formatFromPath, validateFormat, validateSettings, hasDecodeSettings } = require('./settings.js');
 
 /**
- * Promisified version of execFile for async/await usage
+ * Checks whether a value is in-memory binary data (Buffer or Uint8Array).
  * @function
  * @private
- * @async
- * @param {string} file - Path to executable file
- * @param {string[]} args - Arguments to pass to the executable
- * @returns {Promise<void>} Resolves when execution completes
- * @throws {Error} When the child process exits with an error
+ * @param {*} value - Value to check
+ * @returns {boolean} True when the value is a Buffer or Uint8Array
  */
-const execFileAsync = (file, args) => {
-  return new Promise((resolve, reject) => {
-    execFile(file, args, (error) => {
-      if (error) reject(error);
-      else resolve();
-    });
-  });
+const isBinary = (value) => Buffer.isBuffer(value) || value instanceof Uint8Array;
+
+/**
+ * Wraps binary data in a Buffer without copying it.
+ * @function
+ * @private
+ * @param {(Buffer|Uint8Array)} data - Binary data
+ * @returns {Buffer} Buffer view over the same memory
+ */
+const toBuffer = (data) => Buffer.isBuffer(data) ? data : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+
+/**
+ * Reads the first bytes of a file, enough to recognise its container format.
+ * @function
+ * @private
+ * @param {string} file - Path to the file
+ * @returns {Buffer} Up to {@link HEADER_SIZE} bytes from the start of the file
+ */
+const readHeader = (file) => {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const header = Buffer.alloc(HEADER_SIZE);
+    const bytesRead = fs.readSync(fd, header, 0, HEADER_SIZE, 0);
+    return header.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
 };
 
 /**
- * Waits for the specified number of frames to be extracted to a folder.
+ * Picks the frame shown by the `frame` setting from a decoded animation.
  * @function
  * @private
- * @async
- * @param {string} folder - Path to folder containing extracted frames
- * @param {number} expectedCount - Expected number of frames
- * @returns {Promise<void>} Resolves when all frames are available
+ * @param {DecodedAnimation} animation - Composited frames
+ * @param {(string|number|Object)} [frame='first'] - `'first'`, a frame index or `{ timeMs }`
+ * @returns {DecodedImage} The selected frame
+ * @throws {Error} When the index or time lies beyond the animation
  */
-const waitForFrames = async (folder, expectedCount) => {
-  while (fs.readdirSync(folder).length !== expectedCount) {
-    await new Promise(resolve => setTimeout(resolve, 50));
+const selectFrame = (animation, frame = 'first') => {
+  const { width, height, frames } = animation;
+  let index = 0;
+  if (typeof frame === 'number') {
+    if (frame >= frames.length) {
+      throw new Error(`Frame index is out of range, the input has ${frames.length} frame(s) (${frame})`);
+    }
+    index = frame;
+  } else if (typeof frame === 'object') {
+    let end = 0;
+    index = frames.findIndex(({ delay }) => (end += delay) > frame.timeMs);
+    if (index === -1) {
+      throw new Error(`Frame time is past the end of the animation, which lasts ${end} ms (${frame.timeMs})`);
+    }
   }
+  return { width, height, data: frames[index].data };
+};
+
+/**
+ * Number of jobs run at once when no `concurrency` is given.
+ * @constant {number}
+ * @private
+ */
+const DEFAULT_CONCURRENCY = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight,
+ * keeping results in input order. Stops starting new items after the first rejection.
+ * @function
+ * @private
+ * @async
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with `(item, index)`
+ * @returns {Promise<Array>} Results in input order
+ */
+const mapConcurrent = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+
+  const run = async () => {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
 };
 
 /**
- * Conversion options for GIF/PNG output.
+ * Creates an empty conversion report, filled in while a job runs.
+ * @function
+ * @private
+ * @returns {Object} Report with zeroed counters and timings
+ */
+const createReport = () => ({
+  format: null,
+  bytesIn: 0,
+  bytesOut: 0,
+  frameCount: 0,
+  duration: 0,
+  timings: { decode: 0, composite: 0, quantize: 0, write: 0 },
+  warnings: []
+});
+
+/**
+ * Conversion options.
  * @typedef {Object} ConverterOptions
- * @property {number} [quality=10] - GIF quality (1-100, lower = smaller file)
- * @property {string} [transparent='0x000000'] - Transparent color as `0xRRGGBB`.
+ * @property {('gif'|'png'|'apng'|'jpeg'|'bmp'|'tiff'|'ppm'|'pam'|'pgm'|'yuv')} [format] - Output format. Takes precedence
+ *   over the output file extension and names auto-generated outputs; detected from the input when
+ *   omitted (animated WebP → gif, static WebP → png). Formats other than gif, png, apng and jpeg
+ *   are written by dwebp and need the `cli` backend
+ * @property {('first'|number|{timeMs: number})} [frame='first'] - Animated input written to png or jpeg:
+ *   the frame to write, as `'first'`, a zero-based index or `{ timeMs }` for the frame shown at that
+ *   time. Static inputs only have frame `0`
+ * @property {number} [quality=10] - GIF quality as a NeuQuant sampling factor (1-100, lower = better
+ *   colors but slower; 30 and above are the fastest): the speed/quality trade-off of the neuquant
+ *   and k-means quantizers
+ * @property {('neuquant'|'octree'|'median-cut'|'wu'|'k-means')} [quantizer='neuquant'] - GIF color
+ *   quantization algorithm
+ * @property {('none'|'floyd-steinberg'|'atkinson'|'sierra'|'bayer4'|'bayer8')} [dither='none'] - GIF
+ *   dithering: error diffusion (floyd-steinberg, atkinson, sierra) or ordered Bayer matrices, which
+ *   stay stable from frame to frame in animations. Unrelated to `dwebp.dither`
+ * @property {number} [ditherStrength=1] - GIF dithering strength (0-1)
+ * @property {('global'|'per-frame'|'auto')} [palette='per-frame'] - GIF palettes: one global color
+ *   table built from all frames (sampled for long animations), a local table per frame, or `auto`,
+ *   which encodes both and keeps the smaller file unless its color error is over 10% higher
+ * @property {('threshold'|'matte'|'dither')} [alphaMode='threshold'] - How GIF output reduces alpha to
+ *   on/off transparency: pixels below `alphaThreshold` become transparent and the rest opaque
+ *   (`threshold`), the same but with kept pixels blended onto `matte` (`matte`), or an ordered
+ *   dither pattern of transparent and opaque pixels (`dither`)
+ * @property {number} [alphaThreshold=128] - GIF output: smallest alpha (1-255) kept visible by the
+ *   `threshold` and `matte` alpha modes
+ * @property {string} [matte='0xffffff'] - GIF output: color semi-transparent edges are blended onto
+ *   in `matte` alpha mode, as `0xRRGGBB`; match it to the page background to avoid halos
+ * @property {(string|number)} [transparent='0x000000'] - GIF output: how transparent pixels are written.
+ *   `'auto'` reserves a palette index with a key color absent from the frame's palette, `0xRRGGBB`
+ *   (or `0xRRGGBB00`, or the same color as a number such as `0x00ff00`) marks the palette entry
+ *   closest to that color as transparent, and
+ *   `0xRRGGBBff` fills transparent areas with that opaque color instead
+ * @property {string} [background='0xffffff'] - JPEG output: color that transparent areas are
+ *   flattened onto, as `0xRRGGBB`
+ * @property {JpegOptions} [jpeg] - JPEG encoder settings
+ * @property {{x: number, y: number, width: number, height: number}} [crop] - Static images only:
+ *   crop to this rectangle before any resizing (`dwebp -crop`)
+ * @property {{width: number, height: number}} [resize] - Static images only: resize to this size,
+ *   after cropping. A `0` dimension is computed from the other one, keeping the aspect ratio
+ *   (`dwebp -resize`)
+ * @property {number} [scale] - Static images only: resize by this factor, after cropping.
+ *   Cannot be combined with `resize`
+ * @property {boolean} [flip=false] - Static images only: flip the image vertically (`dwebp -flip`)
+ * @property {Object} [dwebp] - Static images only: dwebp decoder options
+ * @property {boolean} [dwebp.noFancy=false] - Don't use fancy YUV420 upscaling (`-nofancy`)
+ * @property {boolean} [dwebp.noFilter=false] - Disable in-loop filtering, faster but blockier (`-nofilter`)
+ * @property {boolean} [dwebp.alphaDither=false] - Dither alpha planes stored with reduced precision (`-alpha_dither`)
+ * @property {number} [dwebp.dither] - Dithering strength for lossy images, 0-100 (`-dither`)
+ * @property {boolean} [dwebp.mt=false] - Decode on several threads when possible (`-mt`)
+ * @property {boolean} [dwebp.noDither=false] - Disable dithering, cannot be combined with `dither` (`-nodither`)
+ */
+
+/**
+ * Converter construction options: default {@link ConverterOptions} plus instance-level settings.
+ * @typedef {ConverterOptions} ConstructorOptions
+ * @property {number} [workers=0] - Size of the worker thread pool for CPU-heavy work (frame
+ *   compositing, alpha processing, palette building and LZW encoding). `0` runs it on the main thread
+ * @property {string} [backend='cli'] - Name of the backend decoding WebP data. Built in are `cli`
+ *   (the libwebp binaries dwebp/anim_dump, working on temporary files), `sharp` (when the optional
+ *   sharp package is installed) and `wasm` (the WebAssembly libwebp bundled with node-webpmux,
+ *   decoding in memory). `auto` picks the first available of those, then of the backends added with
+ *   {@link Converter.registerBackend}
+ * @property {string} [binaries] - Folder holding the `dwebp` and `anim_dump` binaries used by the `cli`
+ *   backend. Defaults to the `WEBP_CONV_LIBWEBP_DIR` environment variable, then to the binaries
+ *   downloaded by install.js, then to the ones found on `PATH`
+ */
+
+/**
+ * Options applying to a whole {@link Converter#convertJobs} call.
+ * @typedef {Object} BatchOptions
+ * @property {boolean} [detailed=false] - Resolve each job to a {@link JobResult} instead of
+ *   its output path/Buffer
+ * @property {boolean} [failFast=true] - Validate all jobs up front and stop at the first failure.
+ *   When `false`, every job runs and the call resolves to a {@link SettledJob} per job
+ * @property {boolean} [throwOnError=false] - With `failFast: false`, reject with a {@link BatchError}
+ *   once all jobs have run if any of them failed
+ * @property {number} [concurrency=os.availableParallelism()] - Maximum number of jobs converted at once.
+ *   Results keep the input order regardless
+ * @property {AbortSignal} [signal] - Cancels every job of the batch
+ * @property {number} [timeoutMs] - Time budget for the whole batch; remaining jobs are aborted when exceeded
+ */
+
+/**
+ * Wall time spent in each conversion stage, in milliseconds.
+ * @typedef {Object} StageTimings
+ * @property {number} decode - Reading the input, then decoding and compositing frames with the backend
+ *   (includes dwebp for PNG output with the `cli` backend)
+ * @property {number} composite - Processing the alpha channel of composited frames
+ * @property {number} quantize - Building palettes and encoding GIF frames
+ * @property {number} write - Encoding APNG frames, then writing the output file or collecting the
+ *   output Buffer
+ */
+
+/**
+ * Detailed outcome of a single job.
+ * @typedef {Object} JobResult
+ * @property {?string} input - Input path, `null` for in-memory inputs
+ * @property {(string|Buffer)} output - Output path, or the converted data for in-memory output
+ * @property {string} format - Output format
+ * @property {number} bytesIn - Size of the WebP input in bytes
+ * @property {number} bytesOut - Size of the converted output in bytes
+ * @property {number} frameCount - Number of frames in the input (1 for static images)
+ * @property {number} duration - Total animation duration in milliseconds (0 for static images)
+ * @property {StageTimings} timings - Wall time per stage
+ * @property {string[]} warnings - Non-fatal issues, e.g. clamped delays or dropped semi-transparent pixels
+ */
+
+/**
+ * Per-conversion state threaded through the private conversion steps.
+ * @typedef {Object} ConversionContext
+ * @private
+ * @property {Object} [report] - Report receiving sizes, timings and warnings
+ * @property {AbortSignal} [signal] - Cancels the conversion
+ * @property {Function} [notify] - Emits a progress event, called with `(event, payload)`
+ */
+
+/**
+ * Settings for {@link Converter#createConvertStream}.
+ * @typedef {ConverterOptions} StreamSettings
+ * @property {string} [format] - Output format (see {@link ConverterOptions}); detected from the input when omitted
+ *   (animated WebP → gif, static WebP → png)
+ * @property {AbortSignal} [signal] - Cancels the conversion and destroys the stream
+ * @property {number} [timeoutMs] - Time budget for the conversion, counted from when the input ends
+ */
+
+/**
+ * In-memory output request. The job resolves to a Buffer instead of a path.
+ * @typedef {Object} BufferOutput
+ * @property {'buffer'} type - Must be `'buffer'`
+ * @property {string} [format] - Output format (see {@link ConverterOptions}); detected from the input when omitted
+ *   (animated WebP → gif, static WebP → png)
  */
 
 /**
  * A single conversion job describing input and desired output.
  * @typedef {Object} Job
- * @property {string} input - Path to input WebP file
- * @property {string} [output] - Output path; auto-generated when omitted
+ * @property {(string|Buffer|Uint8Array)} input - Path to input WebP file, or the WebP data itself
+ * @property {(string|BufferOutput)} [output] - Output path or in-memory output request.
+ *   Auto-generated next to the input when omitted (required for in-memory inputs)
  * @property {ConverterOptions} [settings] - Per-job conversion settings
+ * @property {AbortSignal} [signal] - Cancels this job
+ * @property {number} [timeoutMs] - Time budget for this job; it is aborted when exceeded
+ */
+
+/**
+ * Emitted when a job of {@link Converter#convertJobs} starts.
+ * @event Converter#job:start
+ * @type {Object}
+ * @property {Job} job - The job
+ * @property {number} index - Position of the job in the batch
+ */
+
+/**
+ * Emitted when the frames of an animated input have been extracted.
+ * @event Converter#frames:extracted
+ * @type {Object}
+ * @property {Job} job - The job
+ * @property {number} index - Position of the job in the batch
+ * @property {number} count - Number of extracted frames
+ */
+
+/**
+ * Emitted after each GIF or APNG frame has been encoded.
+ * @event Converter#frame:encoded
+ * @type {Object}
+ * @property {Job} job - The job
+ * @property {number} index - Position of the job in the batch
+ * @property {number} frame - Zero-based index of the encoded frame
+ * @property {number} total - Number of frames
+ */
+
+/**
+ * Emitted when a job completes.
+ * @event Converter#job:done
+ * @type {Object}
+ * @property {Job} job - The job
+ * @property {number} index - Position of the job in the batch
+ * @property {(string|Buffer|JobResult)} result - What the job resolved to
+ */
+
+/**
+ * Emitted when a job fails or is aborted.
+ * @event Converter#job:error
+ * @type {Object}
+ * @property {Job} job - The job
+ * @property {number} index - Position of the job in the batch
+ * @property {Error} error - Why the job failed
+ */
+
+/**
+ * Emitted each time a job of a batch settles.
+ * @event Converter#batch:progress
+ * @type {Object}
+ * @property {number} completed - Number of settled jobs, failed ones included
+ * @property {number} failed - Number of failed jobs
+ * @property {number} total - Number of jobs in the batch
  */
 
 /**
  * WebP to GIF/PNG converter class.
  * @class
+ * @extends EventEmitter
  * @classdesc Provides high-level APIs to convert static and animated WebP images
  * into PNG or GIF outputs. For multiple conversions, prefer {@link Converter#convertJobs}.
+ * Emits progress events while {@link Converter#convertJobs} runs.
  * @category Public API
+ * @fires Converter#job:start
+ * @fires Converter#frames:extracted
+ * @fires Converter#frame:encoded
+ * @fires Converter#job:done
+ * @fires Converter#job:error
+ * @fires Converter#batch:progress
  */
-class Converter {
+class Converter extends EventEmitter {
   /**
-  * Path to libwebp binaries directory
-  * @type {string}
-  * @private
+   * Aggregate error thrown by {@link Converter#convertJobs} with `failFast: false, throwOnError: true`.
+   * @type {Function}
+   * @see BatchError
    */
-  #BINARIES = path.join(path.resolve(__dirname, '..'), 'libwebp', 'bin');
-  
+  static BatchError = BatchError;
+
   /**
-  * Path to anim_dump executable
-  * @type {string}
-  * @private
+   * Error rejecting conversions cancelled through `signal` or `timeoutMs`.
+   * @type {Function}
+   * @see AbortError
    */
-  #ANIM_DUMP = path.join(this.#BINARIES, 'anim_dump');
-  
+  static AbortError = AbortError;
+
   /**
-  * Path to dwebp executable
-  * @type {string}
-  * @private
+   * Register a decoding backend that converters can select with the `backend` option.
+   * @category Public API
+   * @function
+   * @param {string} name - Backend name
+   * @param {Backend} backend - Object implementing `decodeImage` and `decodeAnimation`
+   * @throws {Error} When the name is invalid or the backend doesn't implement the contract
+   * @example
+   * Converter.registerBackend('mine', {
+   *   isAvailable: () => true,
+   *   decodeImage: async (data, { signal }) => ({ width, height, data: rgba }),
+   *   decodeAnimation: async (data, { signal }) => ({ width, height, loops, frames: [{ data: rgba, delay }] })
+   * });
+   * const converter = new Converter({ backend: 'mine' });
+   */
+  static registerBackend = registerBackend;
+
+  /**
+   * List the registered decoding backends and whether each can run in this environment.
+   * @category Public API
+   * @function
+   * @returns {Array<{name: string, available: boolean}>} Backends in the order `auto` tries them
    */
-  #DWEBP = path.join(this.#BINARIES, 'dwebp');
-  
+  static listBackends = listBackends;
+
   /**
   * Default conversion options
   * @type {Object}
@@ -98,18 +405,111 @@ class Converter {
    */
   #defaultOptions = {
     quality: 10,
-    transparent: '0x000000'
+    quantizer: 'neuquant',
+    dither: 'none',
+    palette: 'per-frame',
+    alphaMode: 'threshold',
+    alphaThreshold: 128,
+    matte: '0xffffff',
+    transparent: '0x000000',
+    background: '0xffffff'
   };
 
+  /**
+  * Worker thread pool, created on first use when `workers` is set
+  * @type {?WorkerPool}
+  * @private
+   */
+  #pool = null;
+
+  /**
+  * Configured worker pool size
+  * @type {number}
+  * @private
+   */
+  #workers = 0;
+
+  /**
+  * Decoding backend
+  * @type {Backend}
+  * @private
+   */
+  #backend;
+
+  /**
+  * Folder configured for the libwebp binaries
+  * @type {?string}
+  * @private
+   */
+  #binaries = null;
+
   /**
    * Creates a new Converter instance.
-   * @param {ConverterOptions} [defaultOptions={}] - Default options for conversions
+   * @param {ConstructorOptions} [defaultOptions={}] - Default options for conversions and instance settings
+   * @throws {Error} When `workers` is not a non-negative integer, `binaries` is not a path,
+   *   `backend` is unknown, `backend: 'auto'` finds no available backend or a setting is invalid
    * @example
    * const Converter = require('@caed0/webp-conv');
    * const conv = new Converter({ quality: 80, transparent: '0x000000' });
+   *
+   * // Encode GIFs on 4 worker threads
+   * const pooled = new Converter({ workers: 4 });
+   *
+   * // Decode in memory, without the libwebp binaries
+   * const wasm = new Converter({ backend: 'wasm' });
+   *
+   * // Use whichever backend works here
+   * const auto = new Converter({ backend: 'auto' });
+   *
+   * // Use the libwebp tools of a Docker image
+   * const system = new Converter({ binaries: '/usr/bin' });
    */
   constructor(defaultOptions = {}) {
-    this.#defaultOptions = { ...this.#defaultOptions, ...defaultOptions };
+    super();
+    const { workers = 0, backend = 'cli', binaries, ...options } = defaultOptions;
+    if (!Number.isInteger(workers) || workers < 0) {
+      throw new Error(`Workers must be a non-negative integer (${workers})`);
+    }
+    if (binaries !== undefined && (typeof binaries !== 'string' || !binaries)) {
+      throw new Error(`Binaries must be the path to a folder (${binaries})`);
+    }
+    this.#workers = workers;
+    this.#backend = resolveBackend(backend, { binaries });
+    this.#binaries = binaries || null;
+    this.#defaultOptions = { ...this.#defaultOptions, ...options };
+    validateSettings(this.#defaultOptions);
+  }
+
+  /**
+   * Stop the worker threads started by this converter. The converter can still be used
+   * afterwards; a new pool is started on demand.
+   * @category Public API
+   * @async
+   * @returns {Promise<void>} Resolves once all workers have exited
+   */
+  async close() {
+    const pool = this.#pool;
+    this.#pool = null;
+    if (pool) await pool.destroy();
+  }
+
+  /**
+   * Check the environment this converter runs in: whether dwebp and anim_dump exist, are
+   * executable and recent enough, whether the canvas native module loads, whether the temporary
+   * directory is writable, whether install.js supports the platform and whether the configured
+   * backend is available. Every failed check comes with a suggested fix.
+   * @category Public API
+   * @async
+   * @returns {Promise<DoctorReport>} Diagnostics; `ok` is true when every check this converter
+   *   depends on passed
+   * @example
+   * const report = await converter.doctor();
+   * for (const check of report.checks.filter(check => !check.ok)) {
+   *   console.error(`${check.name}: ${check.message}\n  fix: ${check.fix}`);
+   * }
+   */
+  async doctor() {
+    return await diagnose({ backend: this.#backend, binaries: this.#binaries });
   }
 
   /**
@@ -117,8 +517,15 @@ class Converter {
    * @category Public API
    * @async
    * @param {(Job|Job[])} jobs - A single job or an array of jobs
-   * @returns {Promise<string|string[]>} Output path(s) of converted file(s)
+   * @param {BatchOptions} [batchOptions={}] - Options for the whole call
+   * @returns {Promise<(string|Buffer|JobResult|Array<(string|Buffer|JobResult)>)>} Output path(s) of
+   *   converted file(s), or Buffers for jobs that requested in-memory output.
+   *   With `detailed: true`, a {@link JobResult} per job instead.
+   *   With `failFast: false`, a {@link SettledJob} wrapping each of those
    * @throws {Error} When jobs are missing/invalid or input is not a WebP
+   * @throws {BatchError} With `failFast: false, throwOnError: true`, when any job failed
+   * @throws {AbortError} When the batch or a job is aborted or times out (with `failFast: false`,
+   *   aborted jobs are reported as rejected instead)
    * @example
    * // Single job
    * await converter.convertJobs({
@@ -132,39 +539,234 @@ class Converter {
    *   { input: 'file1.webp', settings: { quality: 90 } },
    *   { input: 'file2.webp', output: 'custom.png' }
    * ]);
+   *
+   * // In-memory input and output
+   * const gif = await converter.convertJobs({
+   *   input: webpBuffer,
+   *   output: { type: 'buffer', format: 'gif' }
+   * });
+   *
+   * // Detailed results
+   * const [result] = await converter.convertJobs([{ input: 'file1.webp' }], { detailed: true });
+   * console.log(result.bytesOut, result.timings.quantize, result.warnings);
+   *
+   * // Run every job even if some fail
+   * const settled = await converter.convertJobs(jobs, { failFast: false });
+   * const failed = settled.filter(result => result.status === 'rejected');
+   *
+   * // Cancel when the client goes away, and give each job 30 seconds
+   * const controller = new AbortController();
+   * req.on('close', () => controller.abort());
+   * await converter.convertJobs({ input: 'file1.webp', timeoutMs: 30000 }, { signal: controller.signal });
+   *
+   * // Progress
+   * converter.on('frame:encoded', ({ index, frame, total }) => console.log(`job ${index}: ${frame + 1}/${total}`));
+   * converter.on('batch:progress', ({ completed, total }) => console.log(`${completed}/${total} jobs`));
    */
-  async convertJobs(jobs) {
+  async convertJobs(jobs, batchOptions = {}) {
     if (!jobs) throw new Error("Jobs parameter is required");
     
     const isArray = Array.isArray(jobs);
     const jobArray = isArray ? jobs : [jobs];
-    
-    for (const job of jobArray) {
-      this.#validateJob(job);
+    const { concurrency = DEFAULT_CONCURRENCY } = batchOptions;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Concurrency must be a positive integer (${concurrency})`);
     }
+    validateSignal(batchOptions.signal, 'Batch');
     
-    const results = [];
-    for (const job of jobArray) {
-      const result = await this.#processJob(job);
-      results.push(result);
-    }
+    const batch = createAbortScope([batchOptions.signal], batchOptions.timeoutMs, 'Batch');
+    const total = jobArray.length;
+    let completed = 0;
+    let failed = 0;
+
+    const runJob = async (job, index) => {
+      const notify = (event, payload) => this.emit(event, { job, index, ...payload });
+      notify('job:start');
+      try {
+        const result = await this.#processJob(job, batchOptions.detailed, { signal: batch.signal, notify });
+        completed++;
+        notify('job:done', { result });
+        return result;
+      } catch (error) {
+        completed++;
+        failed++;
+        notify('job:error', { error });
+        throw error;
+      } finally {
+        this.emit('batch:progress', { completed, failed, total });
+      }
+    };
     
-    return isArray ? results : results[0];
+    try {
+      if (batchOptions.failFast === false) {
+        const settled = await mapConcurrent(jobArray, concurrency, async (job, index) => {
+          try {
+            this.#validateJob(job);
+          } catch (reason) {
+            completed++;
+            failed++;
+            this.emit('job:error', { job, index, error: reason });
+            this.emit('batch:progress', { completed, failed, total });
+            return { status: 'rejected', reason };
+          }
+          try {
+            return { status: 'fulfilled', value: await runJob(job, index) };
+          } catch (reason) {
+            return { status: 'rejected', reason };
+          }
+        });
+        if (batchOptions.throwOnError && settled.some(result => result.status === 'rejected')) {
+          throw new BatchError(settled);
+        }
+        return isArray ? settled : settled[0];
+      }
+      
+      for (const job of jobArray) {
+        this.#validateJob(job);
+      }
+      
+      const results = await mapConcurrent(jobArray, concurrency, async (job, index) => {
+        try {
+          return await runJob(job, index);
+        } catch (error) {
+          // Cancel the jobs still running; the batch rejects with this first error.
+          batch.abort(new AbortError('Batch aborted after another job failed', { cause: error }));
+          throw error;
+        }
+      });
+      
+      return isArray ? results : results[0];
+    } finally {
+      batch.dispose();
+    }
+  }
+
+  /**
+   * Read structured metadata of a WebP image without converting it.
+   * Only the RIFF container is parsed; no pixel data is decoded.
+   * @category Public API
+   * @async
+   * @param {(string|Buffer|Uint8Array)} input - Path to a WebP file or the WebP data
+   * @returns {Promise<ProbeResult>} Image metadata
+   * @throws {Error} When the input is missing, not a WebP file or malformed
+   * @example
+   * const info = await converter.probe('input.webp');
+   * if (info.animated && info.frameCount > 500) {
+   *   throw new Error('Animation too long');
+   * }
+   */
+  async probe(input) {
+    if (!input) throw new Error("Input is required");
+    if (isBinary(input)) return probeWebP(input);
+    if (!fs.existsSync(input)) throw new Error(`Input file does not exist (${input})`);
+    if (!fs.statSync(input).isFile()) throw new Error(`Input is not a file (${input})`);
+    return probeWebP(await fs.promises.readFile(input));
+  }
+
+  /**
+   * Create a Transform stream that converts the WebP bytes written to it.
+   * The whole input is collected before conversion starts (WebP cannot be decoded
+   * incrementally); the converted GIF/PNG bytes are pushed to the readable side once done.
+   * @category Public API
+   * @param {StreamSettings} [settings={}] - Output format and conversion settings
+   * @returns {Transform} Stream accepting WebP data and emitting converted data
+   * @throws {Error} When the requested format or a setting is not supported
+   * @example
+   * const { pipeline } = require('stream/promises');
+   *
+   * await pipeline(
+   *   fs.createReadStream('input.webp'),
+   *   converter.createConvertStream({ format: 'gif', quality: 80 }),
+   *   fs.createWriteStream('output.gif')
+   * );
+   */
+  createConvertStream(settings = {}) {
+    const { signal, timeoutMs, ...options } = settings;
+    const streamOptions = { ...this.#defaultOptions, ...options };
+    validateSignal(signal, 'Stream');
+    validateTimeout(timeoutMs);
+    validateSettings(streamOptions);
+
+    const chunks = [];
+    const controller = new AbortController();
+    let scope = null;
+    const stream = new Transform({
+      transform: (chunk, encoding, callback) => {
+        chunks.push(chunk);
+        callback();
+      },
+      flush: (callback) => {
+        const input = Buffer.concat(chunks);
+        chunks.length = 0;
+        if (input.length === 0) {
+          callback(new Error("Input stream is empty"));
+          return;
+        }
+        const output = { type: 'buffer', format: streamOptions.format || this.#detectFormat(input) };
+        scope = createAbortScope([controller.signal, signal], timeoutMs);
+        this.#convert(input, output, streamOptions, { signal: scope.signal })
+          .finally(() => scope.dispose())
+          .then(result => callback(null, result), callback);
+      },
+      destroy: (error, callback) => {
+        controller.abort(error || undefined);
+        callback(error);
+      }
+    });
+
+    if (signal) {
+      if (signal.aborted) {
+        stream.destroy(toAbortError(signal));
+      } else {
+        const onAbort = () => stream.destroy(toAbortError(signal));
+        signal.addEventListener('abort', onAbort, { once: true });
+        stream.once('close', () => signal.removeEventListener('abort', onAbort));
+      }
+    }
+    return stream;
   }
 
   /**
    * Validates a job object for required properties and file existence
    * @private
    * @param {Object} job - Job object to validate
-   * @param {string} job.input - Path to input WebP file
-   * @throws {Error} When job is invalid, input missing, file doesn't exist, or not a WebP file
+   * @param {(string|Buffer|Uint8Array)} job.input - Path to input WebP file or WebP data
+   * @param {(string|BufferOutput)} [job.output] - Output path or in-memory output request
+   * @throws {Error} When job is invalid, input missing, file doesn't exist, not a WebP file,
+   *   or a setting is invalid
    */
   #validateJob(job) {
     if (!job || typeof job !== 'object') {
       throw new Error("Job must be an object");
     }
     if (!job.input) {
-      throw new Error("Job must have an 'input' property with the path to the input file");
+      throw new Error("Job must have an 'input' property with the path to the input file or a Buffer");
+    }
+    validateSignal(job.signal, 'Job');
+    validateTimeout(job.timeoutMs);
+    const settings = { ...this.#defaultOptions, ...job.settings };
+    validateSettings(settings);
+    if (job.output && typeof job.output === 'object') {
+      if (job.output.type !== 'buffer') {
+        throw new Error(`Unsupported output type (${job.output.type}), expected 'buffer'`);
+      }
+      if (job.output.format) validateFormat(job.output.format);
+    } else if (job.output !== undefined && typeof job.output !== 'string') {
+      throw new Error("Job 'output' must be a path or an object like { type: 'buffer' }");
+    } else if (job.output) {
+      this.#validateOutputPath(job.output, settings.format);
+    }
+    if (isBinary(job.input)) {
+      if (job.input.length === 0) {
+        throw new Error("Input buffer is empty");
+      }
+      if (!isWebP(job.input)) {
+        throw new Error("Input data is not a webp file (missing RIFF/WEBP header)");
+      }
+      if (!job.output) {
+        throw new Error("Jobs with in-memory input must specify an 'output'");
+      }
+      return;
     }
     if (!fs.existsSync(job.input)) {
       throw new Error(`Input file does not exist (${job.input})`);
@@ -172,44 +774,91 @@ class Converter {
     if (!fs.statSync(job.input).isFile()) {
       throw new Error(`Input is not a file (${job.input})`);
     }
-    if (path.extname(job.input) !== '.webp') {
+    if (!isWebP(readHeader(job.input))) {
       throw new Error(`Input file is not a webp file (${job.input})`);
     }
   }
 
   /**
-   * Generates an appropriate output path based on input file and WebP type detection.
+   * Checks that an output path names a supported format, either through its extension or
+   * through an explicit `format` setting.
    * @private
-   * @param {string} inputPath - Path to input WebP file
-   * @returns {string} Output path (.gif for animated, .png for static)
+   * @param {string} output - Output path
+   * @param {string} [format] - Explicit output format
+   * @throws {Error} When no format can be determined, or the extension names another format
    */
-  #generateOutputPath(inputPath) {
-    const dir = path.dirname(inputPath);
-    const basename = path.basename(inputPath, '.webp');
-    
+  #validateOutputPath(output, format) {
+    const extensionFormat = formatFromPath(output);
+    if (!format && !extensionFormat) {
+      throw new Error(`Output file must be one of ${OUTPUT_FORMATS.join(', ')}, or set the 'format' setting (${output})`);
+    }
+    // APNG files are valid PNGs and are often named .png.
+    if (format && extensionFormat && format !== extensionFormat && !(format === 'apng' && extensionFormat === 'png')) {
+      throw new Error(`Output extension does not match format ${format} (${output})`);
+    }
+  }
+
+  /**
+   * Detects the default output format of a WebP input.
+   * @private
+   * @param {(string|Buffer|Uint8Array)} input - Path to input WebP file or WebP data
+   * @returns {('gif'|'png')} `gif` for animated inputs, `png` for static ones
+   */
+  #detectFormat(input) {
     try {
-      const buffer = fs.readFileSync(inputPath);
-      const isAnimated = buffer.includes(Buffer.from('ANIM'));
-      const ext = isAnimated ? '.gif' : '.png';
-      return path.join(dir, `${basename}${ext}`);
+      const buffer = isBinary(input) ? toBuffer(input) : fs.readFileSync(input);
+      return parseWebP(buffer).isAnimated ? 'gif' : 'png';
     } catch (error) {
-      return path.join(dir, `${basename}.png`);
+      return 'png';
     }
   }
 
   /**
-   * Processes a single job by merging options and calling the convert method.
+   * Generates an appropriate output path based on input file and WebP type detection.
+   * @private
+   * @param {string} inputPath - Path to input WebP file
+   * @param {string} [format] - Explicit output format
+   * @returns {string} Output path with the extension of `format`, or .gif for animated and
+   *   .png for static inputs
+   */
+  #generateOutputPath(inputPath, format) {
+    const dir = path.dirname(inputPath);
+    const basename = path.basename(inputPath).replace(/\.webp$/i, '');
+    return path.join(dir, `${basename}.${format || this.#detectFormat(inputPath)}`);
+  }
+
+  /**
+   * Processes a single job by merging options and running the conversion.
    * @private
    * @async
    * @param {Job} job - Job object to process
-   * @returns {Promise<string>} Path to converted file
+   * @param {boolean} [detailed=false] - Resolve to a {@link JobResult} instead of the output
+   * @param {ConversionContext} [context={}] - Signal of the surrounding batch and progress callback
+   * @returns {Promise<(string|Buffer|JobResult)>} Path to converted file, or its data for in-memory output
+   * @throws {AbortError} When the job or its batch is aborted or times out
    */
-  async #processJob(job) {
+  async #processJob(job, detailed = false, context = {}) {
     const input = job.input;
-    const output = job.output || this.#generateOutputPath(input);
     const jobOptions = { ...this.#defaultOptions, ...job.settings };
+    let output = job.output || this.#generateOutputPath(input, jobOptions.format);
+    if (typeof output === 'object') {
+      output = { type: 'buffer', format: output.format || jobOptions.format || this.#detectFormat(input) };
+    }
+    const report = createReport();
+    const scope = createAbortScope([context.signal, job.signal], job.timeoutMs, 'Job');
     
-    return await this.convert(input, output, jobOptions, true);
+    let result;
+    try {
+      result = await this.#convert(input, output, jobOptions, { ...context, report, signal: scope.signal });
+    } finally {
+      scope.dispose();
+    }
+    if (!detailed) return result;
+    return {
+      input: isBinary(input) ? null : input,
+      output: result,
+      ...report
+    };
   }
 
   /**
@@ -218,7 +867,7 @@ class Converter {
    * @deprecated Use {@link Converter#convertJobs} for job-based processing.
    * @async
    * @param {string} input - Path to input WebP file
-   * @param {string} output - Path to output file (.gif or .png)
+   * @param {string} output - Path to output file (.gif, .png, .bmp, .tiff, .ppm, .pam, .pgm or .yuv)
    * @param {ConverterOptions} [options={}] - Conversion options
    * @param {boolean} [suppressWarning=false] - Internal flag to suppress the deprecation warning
    * @returns {Promise<string>} Path to converted file
@@ -239,94 +888,250 @@ class Converter {
     if (!output) throw new Error("Output is required");
     if (!fs.existsSync(input)) throw new Error(`Input file does not exist (${input})`);
     if (!fs.statSync(input).isFile()) throw new Error("Input is not a file");
-    if (path.extname(input) !== '.webp') throw new Error("Input file is not a webp file");
-    if (!['.gif', '.png'].includes(path.extname(output))) throw new Error("Output file must be a gif or png");
-
-    const mergedOptions = { ...this.#defaultOptions, ...options };
-    const quality = mergedOptions.quality;
-    const transparent = mergedOptions.transparent;
+    if (!isWebP(readHeader(input))) throw new Error("Input file is not a webp file");
+    const settings = { ...this.#defaultOptions, ...options };
+    validateSettings(settings);
+    this.#validateOutputPath(output, settings.format);
 
-    if (output.endsWith('.png')) {
-      await execFileAsync(this.#DWEBP, [input, '-o', output]);
-      return output;
-    }
-
-    const img = new Image();
-    await img.load(input);
-    await img.initLib();
-    const { width, height, data } = img;
-    const rawFrames = data.anim.frames;
-
-    const encoder = new GIFEncoder(width, height, 'neuquant', true, rawFrames.length);
-    encoder.createReadStream().pipe(fs.createWriteStream(output));
-    encoder.start();
-    encoder.setRepeat(data.anim.loops);
-    encoder.setTransparent(transparent);
-    encoder.setQuality(quality);
-
-    const folder = path.join(os.tmpdir(), 'webp-conv', path.basename(input));
-    if (fs.existsSync(folder)) {
-      try {
-        fs.rmSync(folder, { recursive: true });
-      } catch (error) {
-        // Ignore cleanup errors for existing folder
-      }
-    }
-    fs.mkdirSync(folder, { recursive: true });
+    return await this.#convert(input, output, settings);
+  }
 
-    let cleanupAttempts = 0;
-    const maxCleanupAttempts = 5;
+  /**
+   * Runs a conversion from a file or in-memory input to a file or in-memory output.
+   * @private
+   * @async
+   * @param {(string|Buffer|Uint8Array)} input - Path to input WebP file or WebP data
+   * @param {(string|BufferOutput)} output - Output path, or in-memory output with a resolved format
+   * @param {ConverterOptions} options - Fully merged conversion options
+   * @param {ConversionContext} [context={}] - Report, signal and progress callback. Aborting the signal
+   *   kills child processes and deletes partial output and temporary frames
+   * @returns {Promise<(string|Buffer)>} Output path, or the converted data for in-memory output
+   * @throws {AbortError} When the signal aborts before the conversion completes
+   */
+  async #convert(input, output, options, context = {}) {
+    const { report = createReport(), signal } = context;
+    const inMemory = typeof output !== 'string';
+    const format = inMemory ? output.format : options.format || formatFromPath(output);
+    const backend = this.#backend;
+    const { timings } = report;
+    let writing = false;
 
-    /**
-     * Attempts to clean up temporary folder with retry logic
-     * @private
-     */
-    const cleanupFolder = () => {
-      try {
-        if (fs.existsSync(folder)) {
-          fs.rmSync(folder, { recursive: true });
+    try {
+      throwIfAborted(signal);
+      let start = performance.now();
+      const data = isBinary(input) ? toBuffer(input) : await fs.promises.readFile(input);
+      const metadata = probeWebP(data);
+      report.format = format;
+      report.bytesIn = data.length;
+      report.frameCount = metadata.frameCount;
+      report.duration = metadata.duration;
+      if (hasDecodeSettings(options)) {
+        if (metadata.animated) {
+          throw new Error('crop, resize, scale, flip and dwebp settings only apply to static images');
         }
-      } catch (error) {
-        cleanupAttempts++;
-        if (cleanupAttempts < maxCleanupAttempts) {
-          setTimeout(cleanupFolder, 100);
+        if (!backend.decodeSettings) {
+          throw new Error(`crop, resize, scale, flip and dwebp settings are not supported by the ${backend.name || 'selected'} backend`);
         }
       }
-    };
+      const decodeOptions = { signal, file: isBinary(input) ? undefined : input, settings: options };
 
-    try {
-      await execFileAsync(this.#ANIM_DUMP, ['-folder', folder, input]);
-      await waitForFrames(folder, Object.keys(rawFrames).length);
-
-      const frames = fs.readdirSync(folder).filter(file => path.extname(file) === '.png');
-      for (let i = 0; i < frames.length; i++) {
-        const framePath = path.join(folder, frames[i]);
-        const ctx = createCanvas(width, height).getContext('2d');
-        const image = await loadImage(framePath);
-        ctx.drawImage(image, 0, 0, width, height);
-
-        const imageData = ctx.getImageData(0, 0, width, height);
-        const data = imageData.data;
+      const converts = typeof backend.convertImage === 'function' &&
+        (backend.imageFormats || ['png']).includes(format);
+      if (!['gif', 'apng'].includes(format) && !metadata.animated && typeof options.frame === 'number' &&
+        options.frame > 0) {
+        throw new Error(`Frame index is out of range, the input is a static image (${options.frame})`);
+      }
 
-        for (let j = 0; j < data.length; j += 4) {
-          if (data[j + 3] > 0 && data[j + 3] < 128) data[j + 3] = 0;
+      let result;
+      if (format === 'gif') {
+        timings.decode += performance.now() - start;
+        result = await this.#encodeGif(data, metadata, decodeOptions, options, { ...context, report });
+      } else if (format === 'apng') {
+        timings.decode += performance.now() - start;
+        result = await this.#encodeApng(data, metadata, decodeOptions, { ...context, report });
+      } else if (format === 'jpeg') {
+        const image = await this.#decodeFrame(data, metadata, decodeOptions, options.frame);
+        timings.decode += performance.now() - start;
+        throwIfAborted(signal);
+        result = encodeJpeg(image, options);
+      } else if (metadata.animated) {
+        if (format !== 'png') {
+          throw new Error(`Animated input can only be converted to gif, apng, png or jpeg (${format})`);
         }
+        const image = await this.#decodeFrame(data, metadata, decodeOptions, options.frame);
+        timings.decode += performance.now() - start;
+        throwIfAborted(signal);
+        result = encodePng(image);
+      } else if (converts) {
+        const image = await backend.convertImage(data, {
+          ...decodeOptions,
+          format,
+          target: inMemory ? undefined : output,
+          onWriteStart: () => { writing = true; }
+        });
+        timings.decode += performance.now() - start;
 
-        ctx.putImageData(imageData, 0, 0);
-        encoder.setDelay(rawFrames[i].delay);
-        encoder.addFrame(ctx);
+        start = performance.now();
+        report.bytesOut = inMemory ? image.length : (await fs.promises.stat(output)).size;
+        timings.write += performance.now() - start;
+        throwIfAborted(signal);
+        return inMemory ? image : output;
+      } else if (format === 'png') {
+        const image = await backend.decodeImage(data, decodeOptions);
+        timings.decode += performance.now() - start;
+        throwIfAborted(signal);
+        result = encodePng(image);
+      } else {
+        throw new Error(`${format} output is not supported by the ${backend.name || 'selected'} backend`);
       }
 
-      encoder.finish();
-      
-      await new Promise(resolve => setTimeout(resolve, 100));
-      
-      cleanupFolder();
+      report.bytesOut = result.length;
+      throwIfAborted(signal);
+      if (inMemory) return result;
+
+      start = performance.now();
+      writing = true;
+      await fs.promises.writeFile(output, result, { signal });
+      timings.write += performance.now() - start;
+      return output;
     } catch (error) {
-      cleanupFolder();
+      if (writing) fs.rmSync(output, { force: true });
+      if (signal && signal.aborted) throw toAbortError(signal);
       throw error;
     }
-    return output;
+  }
+
+  /**
+   * Decodes a WebP file into full-canvas frames. Animated inputs are decoded and composited by
+   * the backend, on the worker pool for the in-process `wasm` backend when one is configured;
+   * static inputs become a single frame.
+   * @private
+   * @async
+   * @param {Buffer} data - Contents of the input file
+   * @param {ProbeResult} metadata - Probed metadata of the input
+   * @param {DecodeOptions} decodeOptions - Signal, source path and settings passed to the backend
+   * @returns {Promise<DecodedAnimation>} Composited frames
+   */
+  async #decodeAnimation(data, metadata, decodeOptions) {
+    if (!metadata.animated) {
+      const image = await this.#backend.decodeImage(data, decodeOptions);
+      return { width: image.width, height: image.height, loops: 0, frames: [{ data: image.data, delay: 0 }] };
+    }
+    return this.#workers > 0 && this.#backend === wasm
+      ? await this.#runInWorker('wasm:decode', { data }, decodeOptions.signal)
+      : await this.#backend.decodeAnimation(data, decodeOptions);
+  }
+
+  /**
+   * Decodes the single image written to a static format: the image itself for static inputs,
+   * or the frame picked by the `frame` setting for animated ones.
+   * @private
+   * @async
+   * @param {Buffer} data - Contents of the input file
+   * @param {ProbeResult} metadata - Probed metadata of the input
+   * @param {DecodeOptions} decodeOptions - Signal, source path and settings passed to the backend
+   * @param {(string|number|Object)} [frame] - Frame selector
+   * @returns {Promise<DecodedImage>} Decoded image
+   */
+  async #decodeFrame(data, metadata, decodeOptions, frame) {
+    if (!metadata.animated) return await this.#backend.decodeImage(data, decodeOptions);
+    return selectFrame(await this.#decodeAnimation(data, metadata, decodeOptions), frame);
+  }
+
+  /**
+   * Encodes a WebP file as a GIF; static inputs become a single frame without a loop extension.
+   * Alpha processing and encoding run on the worker pool when one is configured.
+   * @private
+   * @async
+   * @param {Buffer} data - Contents of the input file
+   * @param {ProbeResult} metadata - Probed metadata of the input
+   * @param {DecodeOptions} decodeOptions - Signal, source path and settings passed to the backend
+   * @param {ConverterOptions} options - Fully merged conversion options
+   * @param {ConversionContext} context - Report receiving timings and warnings, signal cancelling
+   *   extraction and encoding, and progress callback
+   * @returns {Promise<Buffer>} GIF data
+   */
+  async #encodeGif(data, metadata, decodeOptions, options, context) {
+    const { report, signal, notify = () => {} } = context;
+    const start = performance.now();
+    const animation = await this.#decodeAnimation(data, metadata, decodeOptions);
+    throwIfAborted(signal);
+    report.timings.decode += performance.now() - start;
+    notify('frames:extracted', { count: animation.frames.length });
+
+    const task = {
+      width: animation.width,
+      height: animation.height,
+      loops: metadata.animated ? animation.loops : -1,
+      frames: animation.frames,
+      quality: options.quality,
+      quantizer: options.quantizer,
+      dither: options.dither,
+      ditherStrength: options.ditherStrength,
+      palette: options.palette,
+      alphaMode: options.alphaMode,
+      alphaThreshold: options.alphaThreshold,
+      matte: options.matte,
+      transparent: options.transparent
+    };
+    const onFrame = ({ frame, total }) => notify('frame:encoded', { frame, total });
+    const result = this.#workers > 0
+      ? await this.#runInWorker('gif', task, signal, onFrame)
+      : await encodeGif(task, signal, onFrame);
+
+    for (const stage of Object.keys(report.timings)) {
+      report.timings[stage] += result.timings[stage];
+    }
+    report.warnings.push(...result.warnings);
+    return Buffer.from(result.data.buffer, result.data.byteOffset, result.data.byteLength);
+  }
+
+  /**
+   * Encodes a WebP file as an animated PNG with true color and 8-bit alpha, from the same
+   * composited frames as GIF output. Encoding runs on the worker pool when one is configured.
+   * @private
+   * @async
+   * @param {Buffer} data - Contents of the input file
+   * @param {ProbeResult} metadata - Probed metadata of the input
+   * @param {DecodeOptions} decodeOptions - Signal, source path and settings passed to the backend
+   * @param {ConversionContext} context - Report receiving timings, signal cancelling extraction
+   *   and encoding, and progress callback
+   * @returns {Promise<Buffer>} APNG data
+   */
+  async #encodeApng(data, metadata, decodeOptions, context) {
+    const { report, signal, notify = () => {} } = context;
+    let start = performance.now();
+    const animation = await this.#decodeAnimation(data, metadata, decodeOptions);
+    throwIfAborted(signal);
+    report.timings.decode += performance.now() - start;
+    notify('frames:extracted', { count: animation.frames.length });
+
+    start = performance.now();
+    const onFrame = ({ frame, total }) => notify('frame:encoded', { frame, total });
+    const result = this.#workers > 0
+      ? (await this.#runInWorker('apng', animation, signal, onFrame)).data
+      : await encodeApng(animation, signal, onFrame);
+    report.timings.write += performance.now() - start;
+    return Buffer.from(result.buffer, result.byteOffset, result.byteLength);
+  }
+
+  /**
+   * Runs a task on the worker pool, moving frame data to the worker instead of copying it.
+   * Other binary inputs (such as user-provided WebP data) are copied.
+   * @private
+   * @async
+   * @param {string} task - Task name
+   * @param {Object} payload - Task input
+   * @param {AbortSignal} [signal] - Terminates the worker running the task when aborted
+   * @param {Function} [onProgress] - Receives progress messages posted by the task
+   * @returns {Promise<Object>} Task result
+   */
+  async #runInWorker(task, payload, signal, onProgress) {
+    if (!this.#pool) this.#pool = new WorkerPool(this.#workers);
+    if (!payload.frames) return await this.#pool.run(task, payload, [], signal, onProgress);
+    const frames = payload.frames.map(frame => ({ ...frame, data: transferable(frame.data) }));
+    const transferList = frames.map(frame => frame.data.buffer);
+    return await this.#pool.run(task, { ...payload, frames }, transferList, signal, onProgress);
   }
 }
 
@@ -0,0 +1,232 @@
+/**
+ * @file WorkerPool.js
+ * @description Fixed-size pool of worker threads for CPU-heavy conversion tasks
+ * @author caed0
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { toAbortError } = require('./abort.js');
+
+/**
+ * Returns a Uint8Array that owns its whole ArrayBuffer, so the buffer can be transferred
+ * to another thread. Views over shared or larger buffers (e.g. pooled Buffers) are copied.
+ * @function
+ * @param {Uint8Array} view - Binary data
+ * @returns {Uint8Array} View that can safely be put in a transfer list
+ */
+const transferable = (view) => {
+  if (view.byteOffset === 0 && view.byteLength === view.buffer.byteLength && view.buffer instanceof ArrayBuffer) {
+    return view;
+  }
+  return new Uint8Array(view);
+};
+
+/**
+ * Pool of worker threads running tasks from {@link module:worker}.
+ * Workers are started lazily and do not keep the process alive while idle.
+ * @class
+ * @private
+ */
+class WorkerPool {
+  /**
+   * Path to the worker entry point
+   * @type {string}
+   * @private
+   */
+  #script;
+
+  /**
+   * Maximum number of workers
+   * @type {number}
+   * @private
+   */
+  #size;
+
+  /**
+   * All running workers
+   * @type {Worker[]}
+   * @private
+   */
+  #workers = [];
+
+  /**
+   * Workers waiting for a task
+   * @type {Worker[]}
+   * @private
+   */
+  #idle = [];
+
+  /**
+   * Tasks waiting for a free worker
+   * @type {Object[]}
+   * @private
+   */
+  #queue = [];
+
+  /**
+   * In-flight tasks by worker
+   * @type {Map<Worker, Object>}
+   * @private
+   */
+  #running = new Map();
+
+  /**
+   * Last task id handed out
+   * @type {number}
+   * @private
+   */
+  #lastId = 0;
+
+  /**
+   * Creates a new pool.
+   * @param {number} size - Maximum number of worker threads
+   * @param {string} [script] - Worker entry point speaking the {@link module:worker} message
+   *   protocol. Defaults to worker.js
+   */
+  constructor(size, script = path.join(__dirname, 'worker.js')) {
+    this.#size = size;
+    this.#script = script;
+  }
+
+  /**
+   * Runs a task on the next free worker.
+   * @async
+   * @param {string} task - Task name, e.g. `gif`
+   * @param {Object} payload - Structured-cloneable task input
+   * @param {ArrayBuffer[]} [transferList=[]] - Buffers moved to the worker instead of copied
+   * @param {AbortSignal} [signal] - Cancels the task; a running task's worker is terminated
+   * @param {Function} [onProgress] - Receives progress messages posted while the task runs
+   * @returns {Promise<Object>} Task result
+   * @throws {Error} When the task fails or its worker dies
+   * @throws {AbortError} When the signal aborts before the task completes
+   */
+  run(task, payload, transferList = [], signal, onProgress = () => {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(toAbortError(signal));
+        return;
+      }
+      const job = { id: ++this.#lastId, task, payload, transferList, onProgress };
+      const onAbort = () => this.#cancel(job, toAbortError(signal));
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      job.resolve = (result) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve(result);
+      };
+      job.reject = (error) => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        reject(error);
+      };
+
+      this.#queue.push(job);
+      this.#dispatch();
+    });
+  }
+
+  /**
+   * Terminates all workers. Queued and in-flight tasks are rejected.
+   * @async
+   * @returns {Promise<void>} Resolves once every worker has exited
+   */
+  async destroy() {
+    for (const job of [...this.#queue.splice(0), ...this.#running.values()]) {
+      job.reject(new Error('Worker pool was destroyed'));
+    }
+    this.#running.clear();
+    const workers = this.#workers.splice(0);
+    this.#idle = [];
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+
+  /**
+   * Rejects a task, dropping it from the queue or terminating the worker running it.
+   * @private
+   * @param {Object} job - Queued or running task
+   * @param {Error} error - Rejection reason
+   */
+  #cancel(job, error) {
+    const queued = this.#queue.indexOf(job);
+    if (queued !== -1) {
+      this.#queue.splice(queued, 1);
+    }
+    for (const [worker, running] of this.#running) {
+      if (running !== job) continue;
+      this.#running.delete(worker);
+      this.#workers = this.#workers.filter(other => other !== worker);
+      worker.terminate();
+    }
+    job.reject(error);
+    this.#dispatch();
+  }
+
+  /**
+   * Hands queued tasks to idle workers, starting new workers up to the pool size.
+   * @private
+   */
+  #dispatch() {
+    while (this.#queue.length) {
+      if (!this.#idle.length && this.#workers.length < this.#size) {
+        this.#idle.push(this.#spawn());
+      }
+      const worker = this.#idle.pop();
+      if (!worker) return;
+
+      const job = this.#queue.shift();
+      this.#running.set(worker, job);
+      worker.ref();
+      worker.postMessage({ id: job.id, task: job.task, payload: job.payload }, job.transferList);
+    }
+  }
+
+  /**
+   * Starts a worker and wires up its result and failure handling.
+   * @private
+   * @returns {Worker} The new worker
+   */
+  #spawn() {
+    const worker = new Worker(this.#script);
+    worker.unref();
+
+    worker.on('message', ({ id, result, error, progress }) => {
+      const job = this.#running.get(worker);
+      if (!job || job.id !== id) return;
+      if (progress) {
+        job.onProgress(progress);
+        return;
+      }
+      this.#running.delete(worker);
+      worker.unref();
+      this.#idle.push(worker);
+
+      if (error) {
+        const err = new Error(error.message);
+        err.stack = error.stack;
+        job.reject(err);
+      } else {
+        job.resolve(result);
+      }
+      this.#dispatch();
+    });
+
+    const fail = (error) => {
+      const job = this.#running.get(worker);
+      this.#running.delete(worker);
+      this.#workers = this.#workers.filter(other => other !== worker);
+      this.#idle = this.#idle.filter(other => other !== worker);
+      if (job) job.reject(error);
+      this.#dispatch();
+    };
+    worker.on('error', fail);
+    worker.on('exit', (code) => {
+      if (this.#workers.includes(worker)) {
+        fail(new Error(`Worker stopped with exit code ${code}`));
+      }
+    });
+
+    this.#workers.push(worker);
+    return worker;
+  }
+}
+
+module.exports = { WorkerPool, transferable };
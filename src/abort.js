@@ -0,0 +1,113 @@
+/**
+ * @file abort.js
+ * @description Helpers for cancelling conversions with AbortSignals and timeouts
+ * @author caed0
+ */
+
+const { AbortError } = require('./errors.js');
+
+/**
+ * Converts the reason of an aborted signal into an {@link AbortError}.
+ * @function
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {AbortError} Error to reject with
+ */
+const toAbortError = (signal) => {
+  const { reason } = signal;
+  if (reason instanceof AbortError) return reason;
+  return new AbortError('The conversion was aborted', { cause: reason });
+};
+
+/**
+ * Throws an {@link AbortError} when the signal has been aborted.
+ * @function
+ * @param {AbortSignal} [signal] - Signal to check
+ * @throws {AbortError} When the signal is aborted
+ */
+const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) throw toAbortError(signal);
+};
+
+/**
+ * Waits for the next turn of the event loop, so timers and abort listeners get to run between
+ * chunks of synchronous work such as encoding frames on the main thread.
+ * @function
+ * @async
+ * @returns {Promise<void>} Resolves once pending I/O and timer callbacks have had a chance to run
+ */
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Validates a `timeoutMs` option.
+ * @function
+ * @param {*} timeoutMs - Value to check; `undefined` means no timeout
+ * @throws {Error} When the value is not a non-negative number
+ */
+const validateTimeout = (timeoutMs) => {
+  if (timeoutMs !== undefined && (typeof timeoutMs !== 'number' || !(timeoutMs >= 0))) {
+    throw new Error(`timeoutMs must be a non-negative number (${timeoutMs})`);
+  }
+};
+
+/**
+ * Validates a `signal` option.
+ * @function
+ * @param {*} signal - Value to check; `undefined` means no signal
+ * @param {string} [subject='Conversion'] - What the signal belongs to, used in the error message
+ * @throws {Error} When the value is not an AbortSignal
+ */
+const validateSignal = (signal, subject = 'Conversion') => {
+  if (signal !== undefined && !(signal instanceof AbortSignal)) {
+    throw new Error(`${subject} 'signal' must be an AbortSignal`);
+  }
+};
+
+/**
+ * A signal combining several parent signals and an optional timeout.
+ * @typedef {Object} AbortScope
+ * @property {AbortSignal} signal - Aborts when any parent aborts, the timeout fires or `abort()` is called
+ * @property {Function} abort - Aborts the scope with the given reason
+ * @property {Function} dispose - Detaches from the parents and clears the timeout
+ */
+
+/**
+ * Creates an {@link AbortScope}. Call `dispose()` once the guarded work has settled.
+ * @function
+ * @param {Array<AbortSignal|undefined>} signals - Parent signals; `undefined` entries are ignored
+ * @param {number} [timeoutMs] - Abort after this many milliseconds
+ * @param {string} [label='Conversion'] - Subject used in the timeout error message
+ * @returns {AbortScope} The scope
+ * @throws {Error} When `timeoutMs` is not a non-negative number
+ */
+const createAbortScope = (signals, timeoutMs, label = 'Conversion') => {
+  validateTimeout(timeoutMs);
+  const controller = new AbortController();
+  const cleanups = [];
+  const abort = (reason) => {
+    if (!controller.signal.aborted) controller.abort(reason);
+  };
+
+  for (const signal of signals) {
+    if (!signal) continue;
+    if (signal.aborted) {
+      abort(toAbortError(signal));
+      break;
+    }
+    const onAbort = () => abort(toAbortError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+    cleanups.push(() => signal.removeEventListener('abort', onAbort));
+  }
+
+  if (timeoutMs !== undefined) {
+    const timer = setTimeout(() => abort(new AbortError(`${label} timed out after ${timeoutMs} ms`)), timeoutMs);
+    cleanups.push(() => clearTimeout(timer));
+  }
+
+  return {
+    signal: controller.signal,
+    abort,
+    dispose: () => cleanups.splice(0).forEach(cleanup => cleanup())
+  };
+};
+
+module.exports = { toAbortError, throwIfAborted, yieldToEventLoop, validateTimeout, validateSignal, createAbortScope };
@@ -0,0 +1,122 @@
+/**
+ * @file apng.js
+ * @description Animated PNG encoder for composited RGBA frames, keeping true color and 8-bit alpha.
+ *   Runs on the main thread or inside a worker.
+ * @author caed0
+ */
+
+const { SIGNATURE, chunk, header, compress } = require('./png.js');
+const { throwIfAborted, yieldToEventLoop } = require('./abort.js');
+
+/**
+ * Largest numerator or denominator of an fcTL frame delay (16-bit).
+ * @constant {number}
+ * @private
+ */
+const MAX_DELAY_PART = 0xffff;
+
+/**
+ * Everything needed to encode an APNG. Only holds structured-cloneable values so it can be
+ * posted to a worker thread.
+ * @typedef {Object} ApngTask
+ * @property {number} width - Canvas width in pixels
+ * @property {number} height - Canvas height in pixels
+ * @property {number} loops - Loop count, 0 meaning infinite
+ * @property {GifFrame[]} frames - Full-canvas RGBA frames in display order
+ */
+
+/**
+ * Greatest common divisor of two non-negative integers.
+ * @function
+ * @private
+ * @param {number} a - First integer
+ * @param {number} b - Second integer
+ * @returns {number} Greatest common divisor
+ */
+const gcd = (a, b) => b ? gcd(b, a % b) : a;
+
+/**
+ * Expresses a frame delay as the 16-bit fraction of a second stored in fcTL chunks. Delays are
+ * exact in milliseconds up to 65.535 seconds, and rounded to coarser units beyond that.
+ * @function
+ * @private
+ * @param {number} delay - Frame duration in milliseconds
+ * @returns {{num: number, den: number}} Delay numerator and denominator, in seconds
+ */
+const delayFraction = (delay) => {
+  const ms = Math.max(0, Math.round(delay));
+  const divisor = gcd(ms, 1000) || 1000;
+  let num = ms / divisor;
+  let den = 1000 / divisor;
+  while (num > MAX_DELAY_PART && den > 1) {
+    den /= 10;
+    num = Math.round(ms * den / 1000);
+  }
+  return { num: Math.min(num, MAX_DELAY_PART), den };
+};
+
+/**
+ * Builds a frame control (fcTL) chunk for a full-canvas frame that replaces the previous one.
+ * @function
+ * @private
+ * @param {number} sequence - Chunk sequence number
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {number} delay - Frame duration in milliseconds
+ * @returns {Buffer} fcTL chunk
+ */
+const frameControl = (sequence, width, height, delay) => {
+  const { num, den } = delayFraction(delay);
+  const data = Buffer.alloc(26);
+  data.writeUInt32BE(sequence, 0);
+  data.writeUInt32BE(width, 4);
+  data.writeUInt32BE(height, 8);
+  data.writeUInt32BE(0, 12); // x offset
+  data.writeUInt32BE(0, 16); // y offset
+  data.writeUInt16BE(num, 20);
+  data.writeUInt16BE(den, 22);
+  data[24] = 0; // dispose: none
+  data[25] = 0; // blend: source
+  return chunk('fcTL', data);
+};
+
+/**
+ * Encodes composited frames as an animated PNG. The first frame doubles as the default image
+ * shown by viewers without APNG support. Yields to the event loop between frames so timeouts
+ * and abort signals can interrupt it.
+ * @function
+ * @async
+ * @param {ApngTask} task - Frames and loop count
+ * @param {AbortSignal} [signal] - Stops encoding between frames when aborted
+ * @param {Function} [onFrame] - Called with `{ frame, total }` after each frame is encoded
+ * @returns {Promise<Buffer>} APNG data
+ * @throws {AbortError} When the signal aborts before encoding completes
+ */
+const encodeApng = async (task, signal, onFrame = () => {}) => {
+  const { width, height, loops, frames } = task;
+  const control = Buffer.alloc(8);
+  control.writeUInt32BE(frames.length, 0);
+  control.writeUInt32BE(loops, 4);
+
+  const chunks = [SIGNATURE, header(width, height), chunk('acTL', control)];
+  let sequence = 0;
+  for (let i = 0; i < frames.length; i++) {
+    await yieldToEventLoop();
+    throwIfAborted(signal);
+    const { data, delay } = frames[i];
+    chunks.push(frameControl(sequence++, width, height, delay));
+    const compressed = compress(width, height, data);
+    if (i === 0) {
+      chunks.push(chunk('IDAT', compressed));
+    } else {
+      const prefix = Buffer.alloc(4);
+      prefix.writeUInt32BE(sequence++, 0);
+      chunks.push(chunk('fdAT', Buffer.concat([prefix, compressed])));
+    }
+    onFrame({ frame: i, total: frames.length });
+  }
+  chunks.push(chunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(chunks);
+};
+
+module.exports = { encodeApng };
@@ -0,0 +1,535 @@
+/**
+ * @file cli.js
+ * @description Decoding backend running the libwebp command line tools (dwebp and anim_dump)
+ * @author caed0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { probeWebP } = require('../riff.js');
+const { throwIfAborted, toAbortError } = require('../abort.js');
+const { DWEBP_FLAGS } = require('../settings.js');
+
+/**
+ * Oldest libwebp release whose dwebp/anim_dump support every flag used here (`anim_dump -pam`).
+ * @constant {string}
+ */
+const MIN_LIBWEBP_VERSION = '1.0.0';
+
+/**
+ * Environment variable pointing to a folder holding dwebp and anim_dump.
+ * @constant {string}
+ */
+const LIBWEBP_DIR_ENV = 'WEBP_CONV_LIBWEBP_DIR';
+
+/**
+ * Folder the binaries are installed to by install.js.
+ * @constant {string}
+ * @private
+ */
+const BUNDLED_DIR = path.join(path.resolve(__dirname, '..', '..'), 'libwebp', 'bin');
+
+/**
+ * File name suffix of executables on this platform.
+ * @constant {string}
+ * @private
+ */
+const EXE_SUFFIX = process.platform === 'win32' ? '.exe' : '';
+
+/**
+ * Checks whether a path is an executable file.
+ * @function
+ * @private
+ * @param {string} file - Path to check
+ * @returns {boolean} True when the file exists and may be executed
+ */
+const isExecutable = (file) => {
+  try {
+    fs.accessSync(file, fs.constants.X_OK);
+    return fs.statSync(file).isFile();
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Compares two `major.minor.patch` version strings.
+ * @function
+ * @private
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative when `a` is older than `b`, positive when newer, 0 when equal
+ */
+const compareVersions = (a, b) => {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if ((left[i] || 0) !== (right[i] || 0)) return (left[i] || 0) - (right[i] || 0);
+  }
+  return 0;
+};
+
+/**
+ * Pending and finished `-version` runs by binary path, so each binary is only run once.
+ * Failed runs are dropped and retried on the next lookup.
+ * @type {Map<string, Promise<string>>}
+ * @private
+ */
+const versions = new Map();
+
+/**
+ * Reads the libwebp version of a binary by running it with `-version`, without blocking the
+ * event loop. Results are cached per path.
+ * @function
+ * @private
+ * @async
+ * @param {string} file - Path to dwebp or anim_dump
+ * @returns {Promise<string>} Version as `major.minor.patch`
+ * @throws {Error} When the binary cannot be run or prints no version
+ */
+const readVersion = (file) => {
+  if (!versions.has(file)) {
+    const version = (async () => {
+      let stdout;
+      try {
+        ({ stdout } = await promisify(execFile)(file, ['-version'], { encoding: 'utf8', timeout: 10000 }));
+      } catch (error) {
+        throw new Error(`Failed to run ${file} -version (${error.message})`);
+      }
+      const match = /\d+\.\d+\.\d+/.exec(stdout);
+      if (!match) throw new Error(`Could not read the libwebp version of ${file} (${stdout.trim()})`);
+      return match[0];
+    })();
+    version.catch(() => versions.delete(file));
+    versions.set(file, version);
+  }
+  return versions.get(file);
+};
+
+/**
+ * Outcome of looking up a libwebp binary.
+ * @typedef {Object} BinaryInfo
+ * @property {string} name - Binary name (`dwebp` or `anim_dump`)
+ * @property {?string} path - Path to the binary, `null` when not found
+ * @property {boolean} executable - Whether the binary may be executed
+ * @property {?string} version - libwebp version it reports, `null` when unknown
+ * @property {?string} error - Why the binary cannot be used, `null` when it can
+ */
+
+/**
+ * Checks whether a path is a file.
+ * @function
+ * @private
+ * @param {string} file - Path to check
+ * @returns {boolean} True when the path exists and is a file
+ */
+const isFile = (file) => {
+  try {
+    return fs.statSync(file).isFile();
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Looks up a libwebp binary without running it. With a folder, only that folder is searched;
+ * otherwise the folder install.js populates, then every `PATH` entry. The first executable match
+ * wins, falling back to the first non-executable one for reporting.
+ * @function
+ * @private
+ * @param {string} name - Binary name without extension (`dwebp` or `anim_dump`)
+ * @param {string} [folder] - Folder configured through the `binaries` option or environment
+ * @returns {BinaryInfo} What was found, with `version` still `null`
+ */
+const findBinary = (name, folder) => {
+  const folders = folder
+    ? [folder]
+    : [BUNDLED_DIR, ...(process.env.PATH || '').split(path.delimiter).filter(Boolean)];
+  const files = folders.map(dir => path.join(dir, name + EXE_SUFFIX)).filter(isFile);
+  const file = files.find(isExecutable) || files[0];
+  const info = { name, path: file || null, executable: Boolean(file) && isExecutable(file), version: null, error: null };
+
+  if (!file) {
+    const where = folder ? `in ${folder}` : `in ${BUNDLED_DIR} or on PATH`;
+    info.error = `${name} was not found ${where}. Install the libwebp tools (or reinstall this package ` +
+      `to download them), or set the 'binaries' option or ${LIBWEBP_DIR_ENV} to the folder holding them`;
+  } else if (!info.executable) {
+    info.error = `${file} is not executable`;
+  }
+  return info;
+};
+
+/**
+ * Looks up a libwebp binary and checks that it can be run and is recent enough.
+ * @function
+ * @private
+ * @async
+ * @param {string} name - Binary name without extension (`dwebp` or `anim_dump`)
+ * @param {string} [folder] - Folder configured through the `binaries` option or environment
+ * @returns {Promise<BinaryInfo>} What was found
+ */
+const inspectBinary = async (name, folder) => {
+  const info = findBinary(name, folder);
+  if (info.error) return info;
+  try {
+    info.version = await readVersion(info.path);
+    if (compareVersions(info.version, MIN_LIBWEBP_VERSION) < 0) {
+      info.error = `${info.path} is from libwebp ${info.version}, but ${MIN_LIBWEBP_VERSION} or newer is required`;
+    }
+  } catch (error) {
+    info.error = error.message;
+  }
+  return info;
+};
+
+/**
+ * Finds a usable libwebp binary.
+ * @function
+ * @private
+ * @async
+ * @param {string} name - Binary name without extension (`dwebp` or `anim_dump`)
+ * @param {string} [folder] - Folder configured through the `binaries` option or environment
+ * @returns {Promise<BinaryInfo>} Path and version of the binary
+ * @throws {Error} When the binary is missing, cannot be run or is too old
+ */
+const locateBinary = async (name, folder) => {
+  const info = await inspectBinary(name, folder);
+  if (info.error) throw new Error(info.error);
+  return info;
+};
+
+/**
+ * Promisified version of execFile for async/await usage
+ * @function
+ * @private
+ * @async
+ * @param {string} file - Path to executable file
+ * @param {string[]} args - Arguments to pass to the executable
+ * @param {AbortSignal} [signal] - Kills the child process when aborted
+ * @returns {Promise<void>} Resolves when execution completes
+ * @throws {Error} When the child process exits with an error
+ * @throws {AbortError} When the signal aborts before the process exits
+ */
+const execFileAsync = (file, args, signal) => {
+  return new Promise((resolve, reject) => {
+    execFile(file, args, { signal }, (error) => {
+      if (signal && signal.aborted) reject(toAbortError(signal));
+      else if (error && error.code === 'ENOENT') {
+        reject(new Error(`${file} could not be started; run converter.doctor() to diagnose the installation`, { cause: error }));
+      } else if (error) reject(error);
+      else resolve();
+    });
+  });
+};
+
+/**
+ * Removes a temporary folder, retrying a few times when the OS still holds locks on its files.
+ * @function
+ * @private
+ * @param {string} folder - Folder to remove
+ * @param {number} [attempt=0] - Current attempt number
+ */
+const cleanupFolder = (folder, attempt = 0) => {
+  try {
+    if (fs.existsSync(folder)) {
+      fs.rmSync(folder, { recursive: true });
+    }
+  } catch (error) {
+    if (attempt + 1 < 5) {
+      setTimeout(() => cleanupFolder(folder, attempt + 1), 100);
+    }
+  }
+};
+
+/**
+ * Lists the frames anim_dump extracted to a folder. anim_dump has exited by then, so the folder
+ * contents are final.
+ * @function
+ * @private
+ * @param {string} folder - Path to folder containing extracted frames
+ * @param {number} expectedCount - Expected number of frames
+ * @returns {string[]} Frame file names in frame order
+ * @throws {Error} When the folder doesn't hold the expected number of frames
+ */
+const listFrames = (folder, expectedCount) => {
+  const files = fs.readdirSync(folder).filter(file => path.extname(file) === '.pam').sort();
+  if (files.length !== expectedCount) {
+    throw new Error(`anim_dump produced ${files.length} of ${expectedCount} frames`);
+  }
+  return files;
+};
+
+/**
+ * Parses a PAM image as written by `dwebp -pam` and `anim_dump -pam`.
+ * @function
+ * @private
+ * @param {Buffer} data - PAM file contents
+ * @returns {DecodedImage} Decoded image
+ * @throws {Error} When the data is not an 8-bit RGBA PAM image
+ */
+const readPam = (data) => {
+  const end = data.indexOf('ENDHDR\n', 0, 'latin1');
+  if (data.toString('latin1', 0, 3) !== 'P7\n' || end === -1) {
+    throw new Error('Invalid PAM image');
+  }
+  const header = {};
+  for (const line of data.toString('latin1', 3, end).split('\n')) {
+    const [key, value] = line.trim().split(/\s+/);
+    if (key) header[key] = value;
+  }
+  const width = Number(header.WIDTH);
+  const height = Number(header.HEIGHT);
+  const start = end + 'ENDHDR\n'.length;
+  if (header.DEPTH !== '4' || header.MAXVAL !== '255' || data.length < start + width * height * 4) {
+    throw new Error(`Unsupported PAM image (${header.TUPLTYPE}, depth ${header.DEPTH})`);
+  }
+  return { width, height, data: data.subarray(start, start + width * height * 4) };
+};
+
+/**
+ * dwebp output flag per image format.
+ * @constant {Object<string, string[]>}
+ * @private
+ */
+const FORMAT_FLAGS = {
+  png: [],
+  bmp: ['-bmp'],
+  tiff: ['-tiff'],
+  ppm: ['-ppm'],
+  pam: ['-pam'],
+  pgm: ['-pgm'],
+  yuv: ['-yuv']
+};
+
+/**
+ * Translates the crop, resize, scale, flip and dwebp settings into dwebp arguments.
+ * @function
+ * @private
+ * @param {ConverterOptions} [settings={}] - Validated conversion settings
+ * @param {ProbeResult} metadata - Metadata of the image, used to check the crop rectangle and
+ *   to compute the size for `scale`
+ * @returns {string[]} dwebp arguments
+ * @throws {Error} When the crop rectangle exceeds the image
+ */
+const dwebpArgs = (settings = {}, metadata) => {
+  const { crop, resize, scale, flip, dwebp = {} } = settings;
+  const args = [];
+  let { width, height } = metadata;
+
+  if (crop) {
+    if (crop.x + crop.width > width || crop.y + crop.height > height) {
+      throw new Error(`Crop rectangle ${crop.width}x${crop.height}+${crop.x}+${crop.y} exceeds the ${width}x${height} image`);
+    }
+    args.push('-crop', crop.x, crop.y, crop.width, crop.height);
+    ({ width, height } = crop);
+  }
+  if (resize) {
+    args.push('-resize', resize.width || 0, resize.height || 0);
+  } else if (scale) {
+    args.push('-resize', Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+  }
+  if (flip) args.push('-flip');
+
+  for (const [option, flag] of Object.entries(DWEBP_FLAGS)) {
+    if (dwebp[option]) args.push(flag);
+  }
+  if (dwebp.dither !== undefined) args.push('-dither', dwebp.dither);
+  return args.map(String);
+};
+
+/**
+ * Backend decoding WebP data with the libwebp command line tools. Every call works in its own
+ * temporary folder, so concurrent calls never share files. The binaries are located and their
+ * version checked on first use.
+ * @class
+ * @implements {Backend}
+ */
+class CliBackend {
+  /**
+   * Backend name
+   * @type {string}
+   */
+  name = 'cli';
+
+  /**
+   * Static images honour the crop, resize, scale, flip and dwebp settings
+   * @type {boolean}
+   */
+  decodeSettings = true;
+
+  /**
+   * Formats {@link CliBackend#convertImage} can write
+   * @type {string[]}
+   */
+  imageFormats = Object.keys(FORMAT_FLAGS);
+
+  /**
+  * Folder configured for the binaries, if any
+  * @type {?string}
+  * @private
+   */
+  #folder;
+
+  /**
+  * Lookup of the binaries, once started; dropped again when it fails
+  * @type {?Promise<{dwebp: BinaryInfo, animDump: BinaryInfo}>}
+  * @private
+   */
+  #binaries = null;
+
+  /**
+   * Creates a backend using the libwebp binaries of a folder, or looks them up when none is given.
+   * @param {string} [folder] - Folder holding `dwebp` and `anim_dump`. Defaults to the
+   *   `WEBP_CONV_LIBWEBP_DIR` environment variable, then to the folder install.js populates
+   *   and finally to `PATH`
+   */
+  constructor(folder) {
+    this.#folder = folder || null;
+  }
+
+  /**
+   * Locates dwebp and anim_dump and checks their version. Successful lookups are cached;
+   * failed ones are retried on the next call.
+   * @async
+   * @returns {Promise<{dwebp: BinaryInfo, animDump: BinaryInfo}>} Paths and versions of the binaries
+   * @throws {Error} When a binary is missing, cannot be run or is too old
+   */
+  locate() {
+    if (!this.#binaries) {
+      const folder = this.#getFolder();
+      this.#binaries = Promise.all([locateBinary('dwebp', folder), locateBinary('anim_dump', folder)])
+        .then(([dwebp, animDump]) => ({ dwebp, animDump }));
+      this.#binaries.catch(() => { this.#binaries = null; });
+    }
+    return this.#binaries;
+  }
+
+  /**
+   * Looks up dwebp and anim_dump without throwing, for diagnostics.
+   * @async
+   * @returns {Promise<{folder: ?string, dwebp: BinaryInfo, animDump: BinaryInfo}>} Configured folder
+   *   (`null` when searching the bundled folder and `PATH`) and what was found
+   */
+  async inspect() {
+    const folder = this.#getFolder();
+    const [dwebp, animDump] = await Promise.all([inspectBinary('dwebp', folder), inspectBinary('anim_dump', folder)]);
+    return { folder, dwebp, animDump };
+  }
+
+  /**
+   * Checks whether dwebp and anim_dump can be found, without running them. Their version is
+   * checked on first use and by {@link CliBackend#inspect}.
+   * @returns {boolean} True when both binaries exist and are executable
+   */
+  isAvailable() {
+    const folder = this.#getFolder();
+    return !findBinary('dwebp', folder).error && !findBinary('anim_dump', folder).error;
+  }
+
+  /**
+   * Resolves the configured folder: the constructor argument, then the environment variable.
+   * @private
+   * @returns {?string} Folder to search exclusively, or `null` for the default lookup
+   */
+  #getFolder() {
+    return this.#folder || process.env[LIBWEBP_DIR_ENV] || null;
+  }
+
+  /**
+   * Decodes a static WebP image to RGBA with `dwebp -pam`.
+   * @async
+   * @param {Buffer} data - WebP file contents
+   * @param {DecodeOptions} [options={}] - Signal and source path
+   * @returns {Promise<DecodedImage>} Decoded image
+   */
+  async decodeImage(data, options = {}) {
+    return await this.#withWorkspace(data, options, async (workspace, source) => {
+      const target = path.join(workspace, 'output.pam');
+      const args = dwebpArgs(options.settings, probeWebP(data));
+      await execFileAsync((await this.locate()).dwebp.path, [source, ...args, '-pam', '-o', target], options.signal);
+      return readPam(await fs.promises.readFile(target));
+    });
+  }
+
+  /**
+   * Converts a static WebP image straight to an image file with dwebp, skipping the RGBA
+   * round trip through JavaScript.
+   * @async
+   * @param {Buffer} data - WebP file contents
+   * @param {Object} options - Signal, source path, output format and target
+   * @param {string} options.format - Output format, one of {@link CliBackend#imageFormats}
+   * @param {string} [options.target] - Output path; the converted data is returned when omitted
+   * @param {Function} [options.onWriteStart] - Called right before dwebp starts, once it may write `target`
+   * @param {AbortSignal} [options.signal] - Kills dwebp when aborted
+   * @param {string} [options.file] - Path the WebP data was read from
+   * @param {ConverterOptions} [options.settings] - Crop, resize, scale, flip and dwebp settings
+   * @returns {Promise<?Buffer>} Converted data without `target`, otherwise `null`
+   */
+  async convertImage(data, options) {
+    return await this.#withWorkspace(data, options, async (workspace, source) => {
+      const target = options.target || path.join(workspace, `output.${options.format}`);
+      const args = dwebpArgs(options.settings, probeWebP(data));
+      const flags = FORMAT_FLAGS[options.format];
+      if (options.target && options.onWriteStart) options.onWriteStart();
+      await execFileAsync((await this.locate()).dwebp.path, [source, ...args, ...flags, '-o', target], options.signal);
+      return options.target ? null : await fs.promises.readFile(target);
+    });
+  }
+
+  /**
+   * Extracts and composites the frames of an animated WebP with `anim_dump -pam`.
+   * Canvas size, loop count and delays are read from the container. Frames are read one at a
+   * time, so besides the decoded frames themselves only one PAM file is held in memory; all
+   * decoded frames (`width * height * 4` bytes each) still stay in memory until encoding ends.
+   * @async
+   * @param {Buffer} data - WebP file contents
+   * @param {DecodeOptions} [options={}] - Signal and source path
+   * @returns {Promise<DecodedAnimation>} Composited frames
+   */
+  async decodeAnimation(data, options = {}) {
+    const metadata = probeWebP(data);
+    return await this.#withWorkspace(data, options, async (workspace, source) => {
+      const folder = path.join(workspace, 'frames');
+      fs.mkdirSync(folder);
+      await execFileAsync((await this.locate()).animDump.path, ['-folder', folder, '-pam', source], options.signal);
+      const files = listFrames(folder, metadata.frameCount);
+      const frames = [];
+      for (const [i, file] of files.entries()) {
+        throwIfAborted(options.signal);
+        const { data: pixels } = readPam(await fs.promises.readFile(path.join(folder, file)));
+        frames.push({ data: pixels, delay: metadata.frames[i].delay });
+      }
+      return { width: metadata.width, height: metadata.height, loops: metadata.loopCount, frames };
+    });
+  }
+
+  /**
+   * Runs a step in a fresh temporary folder, writing in-memory input to it first.
+   * The folder is removed afterwards.
+   * @private
+   * @async
+   * @param {Buffer} data - WebP file contents
+   * @param {DecodeOptions} options - Signal and source path
+   * @param {Function} fn - Called with `(workspace, source)`, `source` being the input path
+   * @returns {Promise<*>} What `fn` resolves to
+   */
+  async #withWorkspace(data, options, fn) {
+    throwIfAborted(options.signal);
+    const workspace = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'webp-conv-'));
+    try {
+      let source = options.file;
+      if (!source) {
+        source = path.join(workspace, 'input.webp');
+        await fs.promises.writeFile(source, data, { signal: options.signal });
+      }
+      return await fn(workspace, source);
+    } finally {
+      cleanupFolder(workspace);
+    }
+  }
+}
+
+module.exports = { CliBackend, MIN_LIBWEBP_VERSION, LIBWEBP_DIR_ENV, BUNDLED_DIR };
@@ -0,0 +1,140 @@
+/**
+ * @file index.js
+ * @description Registry of WebP decoding backends
+ * @author caed0
+ */
+
+const { CliBackend } = require('./cli.js');
+const sharp = require('./sharp.js');
+const wasm = require('./wasm.js');
+
+/**
+ * A decoded still image.
+ * @typedef {Object} DecodedImage
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {Uint8Array} data - RGBA pixels, not premultiplied
+ */
+
+/**
+ * A decoded animation made of full-canvas frames. Every frame is held in memory at once, taking
+ * `width * height * 4` bytes each.
+ * @typedef {Object} DecodedAnimation
+ * @property {number} width - Canvas width in pixels
+ * @property {number} height - Canvas height in pixels
+ * @property {number} loops - Loop count, 0 meaning infinite
+ * @property {Array<{data: Uint8Array, delay: number}>} frames - Composited RGBA frames with
+ *   their delays in milliseconds
+ */
+
+/**
+ * Options passed to backend calls.
+ * @typedef {Object} DecodeOptions
+ * @property {AbortSignal} [signal] - Cancels decoding
+ * @property {string} [file] - Path the WebP data was read from, when it came from a file.
+ *   Backends working on files can use it instead of writing the data to a temporary file
+ * @property {ConverterOptions} [settings] - Conversion settings; backends with `decodeSettings`
+ *   apply the crop, resize, scale, flip and dwebp settings to static images
+ */
+
+/**
+ * A WebP decoding backend.
+ * @typedef {Object} Backend
+ * @property {string} [name] - Backend name, used in diagnostics
+ * @property {Function} [isAvailable] - Returns whether the backend can run in this environment;
+ *   `backend: 'auto'` skips backends returning false. Assumed available when missing
+ * @property {Function} decodeImage - Decodes a static WebP, called with `(data, DecodeOptions)`
+ *   and resolving to a {@link DecodedImage}
+ * @property {Function} decodeAnimation - Decodes an animated WebP, called with `(data, DecodeOptions)`
+ *   and resolving to a {@link DecodedAnimation} with frames already composited onto the canvas
+ * @property {boolean} [decodeSettings=false] - Whether `decodeImage` honours the crop, resize,
+ *   scale, flip and dwebp settings. Conversions using them fail on other backends
+ * @property {Function} [convertImage] - Writes a static WebP directly in an image format, called with
+ *   `(data, {...DecodeOptions, format, target, onWriteStart})`. Writes to `target` when given and
+ *   resolves to `null`, otherwise resolves to the converted data. `onWriteStart` must be called right
+ *   before `target` is first written, so failures before that leave an existing file alone.
+ *   PNG output falls back to `decodeImage` without it
+ * @property {string[]} [imageFormats] - Formats `convertImage` supports
+ */
+
+/**
+ * Registered backends by name, in the order `auto` tries them.
+ * @type {Map<string, Backend>}
+ * @private
+ */
+const backends = new Map([
+  ['cli', new CliBackend()],
+  ['sharp', sharp],
+  ['wasm', wasm]
+]);
+
+/**
+ * Registers a backend under a name, replacing any backend already registered under it.
+ * Registered backends are tried by `auto` after the built-in ones.
+ * @function
+ * @param {string} name - Backend name
+ * @param {Backend} backend - Backend implementation
+ * @throws {Error} When the name is invalid or the backend doesn't implement the contract
+ */
+const registerBackend = (name, backend) => {
+  if (typeof name !== 'string' || !name || name === 'auto') {
+    throw new Error(`Backend name must be a non-empty string other than 'auto' (${name})`);
+  }
+  if (!backend || typeof backend.decodeImage !== 'function' || typeof backend.decodeAnimation !== 'function') {
+    throw new Error(`Backend must implement decodeImage() and decodeAnimation() (${name})`);
+  }
+  if (backend.isAvailable !== undefined && typeof backend.isAvailable !== 'function') {
+    throw new Error(`Backend isAvailable must be a function (${name})`);
+  }
+  backends.set(name, backend);
+};
+
+/**
+ * Checks whether a backend can run in this environment.
+ * @function
+ * @param {Backend} backend - Backend to check
+ * @returns {boolean} True when the backend reports itself available (or doesn't say)
+ */
+const isAvailable = (backend) => {
+  try {
+    return !backend.isAvailable || Boolean(backend.isAvailable());
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Lists registered backend names and whether each can run here.
+ * @function
+ * @returns {Array<{name: string, available: boolean}>} Backends in the order `auto` tries them
+ */
+const listBackends = () => [...backends].map(([name, backend]) => ({ name, available: isAvailable(backend) }));
+
+/**
+ * Looks up a backend by name. `auto` picks the first available backend.
+ * @function
+ * @param {string} name - Backend name or `auto`
+ * @param {Object} [options={}] - Backend settings
+ * @param {string} [options.binaries] - Folder holding the libwebp binaries; replaces the lookup
+ *   of the built-in `cli` backend
+ * @returns {Backend} The backend
+ * @throws {Error} When no backend is registered under the name, or none is available for `auto`
+ */
+const resolveBackend = (name, options = {}) => {
+  const candidates = new Map(backends);
+  if (options.binaries) candidates.set('cli', new CliBackend(options.binaries));
+
+  if (name === 'auto') {
+    for (const backend of candidates.values()) {
+      if (isAvailable(backend)) return backend;
+    }
+    throw new Error('No decoding backend is available');
+  }
+  const backend = candidates.get(name);
+  if (!backend) {
+    throw new Error(`Unknown backend (${name}), expected auto or one of ${[...candidates.keys()].join(', ')}`);
+  }
+  return backend;
+};
+
+module.exports = { registerBackend, listBackends, resolveBackend, isAvailable };
@@ -0,0 +1,76 @@
+/**
+ * @file sharp.js
+ * @description Decoding backend using the optional `sharp` package (libvips with its bundled libwebp)
+ * @author caed0
+ */
+
+/**
+ * The sharp module, `undefined` until first looked up and `null` when it isn't installed.
+ * @type {?Function}
+ * @private
+ */
+let sharp;
+
+/**
+ * Loads sharp on first use.
+ * @function
+ * @private
+ * @returns {?Function} The sharp module, or `null` when it isn't installed
+ */
+const loadSharp = () => {
+  if (sharp === undefined) {
+    try {
+      sharp = require('sharp');
+    } catch (error) {
+      sharp = null;
+    }
+  }
+  return sharp;
+};
+
+/**
+ * Checks whether sharp is installed.
+ * @function
+ * @returns {boolean} True when sharp can be loaded
+ */
+const isAvailable = () => loadSharp() !== null;
+
+/**
+ * Decodes a static WebP image to RGBA.
+ * @function
+ * @async
+ * @param {Buffer} data - WebP file contents
+ * @returns {Promise<DecodedImage>} Decoded image
+ */
+const decodeImage = async (data) => {
+  const { data: pixels, info } = await loadSharp()(data)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { width: info.width, height: info.height, data: pixels };
+};
+
+/**
+ * Decodes an animated WebP into composited full-canvas RGBA frames. libvips decodes animations
+ * with libwebp's animation decoder, so frames come out composited already.
+ * @function
+ * @async
+ * @param {Buffer} data - WebP file contents
+ * @returns {Promise<DecodedAnimation>} Composited frames
+ */
+const decodeAnimation = async (data) => {
+  const image = loadSharp()(data, { animated: true, limitInputPixels: false });
+  const { delay = [], loop = 0 } = await image.metadata();
+  const { data: pixels, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const height = info.pageHeight || info.height;
+  const frameSize = info.width * height * 4;
+  const pages = info.pages || pixels.length / frameSize;
+
+  const frames = [];
+  for (let i = 0; i < pages; i++) {
+    frames.push({ data: pixels.subarray(i * frameSize, (i + 1) * frameSize), delay: delay[i] || 0 });
+  }
+  return { width: info.width, height, loops: loop, frames };
+};
+
+module.exports = { name: 'sharp', isAvailable, decodeImage, decodeAnimation };
@@ -0,0 +1,159 @@
+/**
+ * @file wasm.js
+ * @description In-process WebP decoding backend using the WebAssembly libwebp bundled with node-webpmux
+ * @author caed0
+ */
+
+const { Image } = require('node-webpmux');
+const { throwIfAborted, yieldToEventLoop } = require('../abort.js');
+
+/**
+ * Pending or completed initialisation of the WASM library, shared by all callers.
+ * @type {?Promise<void>}
+ * @private
+ */
+let ready = null;
+
+/**
+ * Initialises the WASM libwebp once per thread.
+ * @function
+ * @private
+ * @async
+ * @returns {Promise<void>} Resolves once the library can decode
+ */
+const initLib = () => {
+  if (!ready) ready = Image.initLib();
+  return ready;
+};
+
+/**
+ * Loads WebP data into a node-webpmux Image.
+ * @function
+ * @private
+ * @async
+ * @param {(Buffer|Uint8Array)} data - WebP file contents
+ * @returns {Promise<Image>} Loaded image
+ */
+const loadImage = async (data) => {
+  await initLib();
+  const img = new Image();
+  await img.load(Buffer.isBuffer(data) ? data : Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+  return img;
+};
+
+/**
+ * Clears a rectangle of the canvas to transparent black.
+ * @function
+ * @private
+ * @param {Uint8Array} canvas - RGBA canvas
+ * @param {number} width - Canvas width
+ * @param {Object} rect - Rectangle with `x`, `y`, `width` and `height`
+ */
+const clearRect = (canvas, width, rect) => {
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    const start = (y * width + rect.x) * 4;
+    canvas.fill(0, start, start + rect.width * 4);
+  }
+};
+
+/**
+ * Draws a decoded frame onto the canvas, either alpha-blending it over the current contents
+ * or replacing them. Blending follows libwebp's non-premultiplied formula so results match
+ * `anim_dump`.
+ * @function
+ * @private
+ * @param {Uint8Array} canvas - RGBA canvas
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Uint8Array} pixels - RGBA frame pixels
+ * @param {Object} frame - Frame with `x`, `y`, `width`, `height` and `blend`
+ */
+const drawFrame = (canvas, width, height, pixels, frame) => {
+  const rows = Math.min(frame.height, height - frame.y);
+  const cols = Math.min(frame.width, width - frame.x);
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      const src = (y * frame.width + x) * 4;
+      const dst = ((frame.y + y) * width + frame.x + x) * 4;
+      const srcAlpha = pixels[src + 3];
+
+      if (!frame.blend || srcAlpha === 255) {
+        canvas[dst] = pixels[src];
+        canvas[dst + 1] = pixels[src + 1];
+        canvas[dst + 2] = pixels[src + 2];
+        canvas[dst + 3] = srcAlpha;
+        continue;
+      }
+      if (srcAlpha === 0) continue;
+
+      const dstFactor = (canvas[dst + 3] * (256 - srcAlpha)) >> 8;
+      const alpha = srcAlpha + dstFactor;
+      const scale = Math.floor(0x1000000 / alpha);
+      for (let c = 0; c < 3; c++) {
+        canvas[dst + c] = Math.floor((pixels[src + c] * srcAlpha + canvas[dst + c] * dstFactor) * scale / 0x1000000);
+      }
+      canvas[dst + 3] = alpha;
+    }
+  }
+};
+
+/**
+ * Checks whether the backend can run. The WASM library ships with node-webpmux, so it always can.
+ * @function
+ * @returns {boolean} Always true
+ */
+const isAvailable = () => true;
+
+/**
+ * Decodes a static WebP image to RGBA.
+ * @function
+ * @async
+ * @param {(Buffer|Uint8Array)} data - WebP file contents
+ * @returns {Promise<DecodedImage>} Decoded image
+ */
+const decodeImage = async (data) => {
+  const img = await loadImage(data);
+  const pixels = await img.getImageData();
+  return { width: img.width, height: img.height, data: pixels };
+};
+
+/**
+ * Decodes an animated WebP and composites every frame onto a full canvas, honouring frame
+ * offsets, blend and dispose modes. The canvas starts transparent and disposed frames are
+ * cleared to transparent, as libwebp's animation decoder does.
+ * @function
+ * @async
+ * @param {(Buffer|Uint8Array)} data - WebP file contents
+ * @param {DecodeOptions} [options] - Decode options; only `signal` is used, checked between frames
+ * @returns {Promise<DecodedAnimation>} Composited frames
+ * @throws {Error} When the input is not an animation
+ * @throws {AbortError} When the signal aborts before decoding completes
+ */
+const decodeAnimation = async (data, { signal } = {}) => {
+  const img = await loadImage(data);
+  if (!img.hasAnim) throw new Error('Input is not an animated WebP');
+  const { width, height } = img;
+  const { loops, frames: rawFrames } = img.anim;
+
+  const canvas = new Uint8Array(width * height * 4);
+  const frames = [];
+  let disposed = null;
+
+  for (let i = 0; i < rawFrames.length; i++) {
+    await yieldToEventLoop();
+    throwIfAborted(signal);
+    const raw = rawFrames[i];
+    // node-webpmux keeps the raw ANMF offsets, which are stored divided by two.
+    const frame = { x: raw.x * 2, y: raw.y * 2, width: raw.width, height: raw.height, blend: raw.blend };
+
+    if (disposed) clearRect(canvas, width, disposed);
+    drawFrame(canvas, width, height, await img.getFrameData(i), frame);
+    disposed = raw.dispose ? frame : null;
+
+    frames.push({ data: canvas.slice(), delay: raw.delay });
+  }
+
+  return { width, height, loops, frames };
+};
+
+module.exports = { name: 'wasm', isAvailable, decodeImage, decodeAnimation };
@@ -0,0 +1,195 @@
+/**
+ * @file doctor.js
+ * @description Environment diagnostics explaining why conversions can or cannot run
+ * @author caed0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CliBackend, MIN_LIBWEBP_VERSION, LIBWEBP_DIR_ENV } = require('./backends/cli.js');
+const { isAvailable } = require('./backends/index.js');
+const { getArchiveName } = require('./platforms.js');
+
+/**
+ * Outcome of a single diagnostic check.
+ * @typedef {Object} DoctorCheck
+ * @property {string} name - What was checked: `platform`, `backend`, `dwebp`, `anim_dump`,
+ *   `canvas` or `tempDir`
+ * @property {boolean} ok - Whether the check passed
+ * @property {boolean} required - Whether conversions with this converter depend on it
+ * @property {string} message - What was found
+ * @property {?string} fix - What to do about a failed check, `null` when it passed
+ * @property {Object} [details] - Check-specific data, e.g. `path` and `version` of a binary
+ */
+
+/**
+ * Environment diagnostics.
+ * @typedef {Object} DoctorReport
+ * @property {boolean} ok - True when every required check passed
+ * @property {DoctorCheck[]} checks - Individual checks
+ */
+
+/**
+ * Creates a check result.
+ * @function
+ * @private
+ * @param {string} name - Check name
+ * @param {boolean} required - Whether conversions depend on it
+ * @param {?string} error - Failure description, `null` when the check passed
+ * @param {string} message - Description of a passed check
+ * @param {string} fix - Remedy for a failed check
+ * @param {Object} [details] - Extra data
+ * @returns {DoctorCheck} Check result
+ */
+const check = (name, required, error, message, fix, details) => ({
+  name,
+  ok: !error,
+  required,
+  message: error || message,
+  fix: error ? fix : null,
+  ...(details && { details })
+});
+
+/**
+ * Suggests how to make a missing, non-executable or outdated binary usable.
+ * @function
+ * @private
+ * @param {BinaryInfo} info - Lookup result
+ * @param {?string} folder - Configured folder, `null` for the default lookup
+ * @param {boolean} supported - Whether install.js has binaries for this platform
+ * @returns {string} Remedy
+ */
+const binaryFix = (info, folder, supported) => {
+  if (info.path && !info.executable) {
+    return `Make it executable: chmod +x "${info.path}"`;
+  }
+  if (info.path && info.version) {
+    return `Install libwebp ${MIN_LIBWEBP_VERSION} or newer and point the 'binaries' option or ` +
+      `${LIBWEBP_DIR_ENV} to its bin folder`;
+  }
+  if (info.path) {
+    return `Check that ${info.path} is a working libwebp binary for this platform (${os.platform()} ${os.arch()})`;
+  }
+  const install = supported
+    ? `Run "node install.js" in ${path.resolve(__dirname, '..')} (it was skipped or failed during npm install)`
+    : 'Install the libwebp tools with your package manager (e.g. "apt install webp" or "brew install webp")';
+  const configure = folder
+    ? `check that ${folder} holds ${info.name}`
+    : `set the 'binaries' option or ${LIBWEBP_DIR_ENV} to a folder holding dwebp and anim_dump`;
+  return `${install}, or ${configure}, or use backend: 'wasm', which needs no binaries`;
+};
+
+/**
+ * Checks whether a module loads.
+ * @function
+ * @private
+ * @param {string} name - Module name
+ * @returns {?string} Failure description, `null` when the module loads
+ */
+const tryRequire = (name) => {
+  try {
+    require(name);
+    return null;
+  } catch (error) {
+    return `${name} failed to load (${error.message.split('\n')[0]})`;
+  }
+};
+
+/**
+ * Checks whether temporary files can be created.
+ * @function
+ * @private
+ * @async
+ * @param {string} dir - Temporary directory
+ * @returns {Promise<?string>} Failure description, `null` when the directory is writable
+ */
+const checkTempDir = async (dir) => {
+  let folder = null;
+  try {
+    folder = await fs.promises.mkdtemp(path.join(dir, 'webp-conv-'));
+    await fs.promises.writeFile(path.join(folder, 'probe'), 'ok');
+    return null;
+  } catch (error) {
+    return `Temporary directory ${dir} is not writable (${error.code || error.message})`;
+  } finally {
+    if (folder) await fs.promises.rm(folder, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Runs every diagnostic check.
+ * @function
+ * @async
+ * @param {Object} options - What the converter is configured with
+ * @param {Backend} options.backend - Backend used for conversions
+ * @param {string} [options.binaries] - Folder configured with the `binaries` option
+ * @returns {Promise<DoctorReport>} Diagnostics
+ */
+const diagnose = async ({ backend, binaries }) => {
+  const usesCli = backend instanceof CliBackend;
+  const platform = os.platform();
+  const arch = os.arch();
+  const archive = getArchiveName(platform, arch);
+  const checks = [];
+
+  checks.push(check(
+    'platform',
+    false,
+    archive ? null : `install.js has no prebuilt libwebp binaries for ${platform} ${arch}`,
+    `${platform} ${arch} is supported by install.js (${archive})`,
+    `Provide dwebp and anim_dump yourself through the 'binaries' option, ${LIBWEBP_DIR_ENV} or PATH, ` +
+      "or use backend: 'wasm' or 'sharp'",
+    { platform, arch }
+  ));
+
+  const available = isAvailable(backend);
+  const backendName = backend.name || 'custom';
+  checks.push(check(
+    'backend',
+    true,
+    available ? null : `Backend '${backendName}' is not available in this environment`,
+    `Backend '${backendName}' is available`,
+    usesCli
+      ? 'See the dwebp and anim_dump checks'
+      : `Install what the '${backendName}' backend needs, or choose another backend (or 'auto')`,
+    { name: backendName }
+  ));
+
+  const cli = usesCli ? backend : new CliBackend(binaries);
+  const { folder, dwebp, animDump } = await cli.inspect();
+  for (const info of [dwebp, animDump]) {
+    checks.push(check(
+      info.name,
+      usesCli,
+      info.error,
+      `${info.name} ${info.version} found at ${info.path}`,
+      binaryFix(info, folder, Boolean(archive)),
+      { path: info.path, executable: info.executable, version: info.version }
+    ));
+  }
+
+  checks.push(check(
+    'canvas',
+    false,
+    tryRequire('canvas'),
+    'canvas native module loads (used for JPEG output)',
+    'Rebuild it with "npm rebuild canvas" and install its system libraries (Cairo, Pango, libjpeg; ' +
+      'see https://github.com/Automattic/node-canvas#compiling)'
+  ));
+
+  const tmpdir = os.tmpdir();
+  checks.push(check(
+    'tempDir',
+    usesCli,
+    await checkTempDir(tmpdir),
+    `Temporary directory ${tmpdir} is writable`,
+    "Make it writable or point TMPDIR (TEMP on Windows) to a writable folder, or use backend: 'wasm', " +
+      'which writes no temporary files',
+    { path: tmpdir }
+  ));
+
+  return { ok: checks.every(result => result.ok || !result.required), checks };
+};
+
+module.exports = { diagnose };
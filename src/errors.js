@@ -0,0 +1,65 @@
+/**
+ * @file errors.js
+ * @description Error classes thrown by the converter
+ * @author caed0
+ */
+
+/**
+ * Outcome of a single job when a batch runs with `failFast: false`.
+ * Mirrors the objects returned by `Promise.allSettled()`.
+ * @typedef {Object} SettledJob
+ * @property {('fulfilled'|'rejected')} status - Whether the job succeeded
+ * @property {*} [value] - Job result, present when `status` is `fulfilled`
+ * @property {Error} [reason] - Job error, present when `status` is `rejected`
+ */
+
+/**
+ * Aggregate error for batches in which one or more jobs failed.
+ * @class
+ * @extends AggregateError
+ * @category Public API
+ */
+class BatchError extends AggregateError {
+  /**
+   * Creates a BatchError from the settled results of a batch.
+   * @param {SettledJob[]} results - Settled result of every job, in input order
+   */
+  constructor(results) {
+    const errors = results.filter(result => result.status === 'rejected').map(result => result.reason);
+    super(errors, `${errors.length} of ${results.length} job(s) failed`);
+    this.name = 'BatchError';
+
+    /**
+     * Settled result of every job, in input order, including the successful ones.
+     * @type {SettledJob[]}
+     */
+    this.results = results;
+  }
+}
+
+/**
+ * Error rejecting a conversion that was cancelled through an AbortSignal or ran past its `timeoutMs`.
+ * @class
+ * @extends Error
+ * @category Public API
+ */
+class AbortError extends Error {
+  /**
+   * Creates an AbortError.
+   * @param {string} [message='The conversion was aborted'] - Error message
+   * @param {Object} [options] - Error options
+   * @param {*} [options.cause] - Abort reason given to the signal, if any
+   */
+  constructor(message = 'The conversion was aborted', options) {
+    super(message, options);
+    this.name = 'AbortError';
+
+    /**
+     * Error code, matching Node's own abort errors.
+     * @type {string}
+     */
+    this.code = 'ABORT_ERR';
+  }
+}
+
+module.exports = { BatchError, AbortError };
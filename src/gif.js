@@ -0,0 +1,537 @@
+/**
+ * @file gif.js
+ * @description GIF encoding of composited animation frames. Runs on the main thread or inside a worker.
+ * @author caed0
+ */
+
+const { performance } = require('perf_hooks');
+const { LZWEncoder } = require('./gifEncoderInternals.js');
+const { throwIfAborted, yieldToEventLoop } = require('./abort.js');
+const { bayerMatrix, buildPalette, mapPixels } = require('./quantize.js');
+
+/**
+ * Largest frame delay a GIF can store, in milliseconds (16-bit count of centiseconds).
+ * @constant {number}
+ */
+const MAX_GIF_DELAY = 0xffff * 10;
+
+/**
+ * Ways of reducing 8-bit alpha to GIF's on/off transparency: cut at a threshold, cut and blend
+ * the kept edge pixels onto a matte color, or dither the alpha with an ordered pattern.
+ * @constant {string[]}
+ */
+const ALPHA_MODES = ['threshold', 'matte', 'dither'];
+
+/**
+ * Palette modes: one global color table, a local table per frame, or whichever of the two
+ * `auto` finds better.
+ * @constant {string[]}
+ */
+const PALETTE_MODES = ['global', 'per-frame', 'auto'];
+
+/**
+ * Largest number of pixels a global palette is built from; longer animations are sampled
+ * at evenly spaced frames.
+ * @constant {number}
+ * @private
+ */
+const GLOBAL_SAMPLE_PIXELS = 1 << 22;
+
+/**
+ * How much higher the color error of the smaller encoding may be for `auto` palettes to keep it.
+ * @constant {number}
+ * @private
+ */
+const AUTO_ERROR_TOLERANCE = 1.1;
+
+/**
+ * A full-canvas animation frame.
+ * @typedef {Object} GifFrame
+ * @property {Uint8Array} data - RGBA pixels; alpha is processed in place
+ * @property {number} delay - Frame duration in milliseconds
+ */
+
+/**
+ * Everything needed to encode a GIF. Only holds structured-cloneable values so it can be
+ * posted to a worker thread.
+ * @typedef {Object} GifTask
+ * @property {number} width - Canvas width in pixels
+ * @property {number} height - Canvas height in pixels
+ * @property {number} loops - Loop count, 0 meaning infinite and -1 writing no loop extension (still images)
+ * @property {GifFrame[]} frames - Frames in display order
+ * @property {number} quality - Quantizer sampling factor (1-100, lower = better and slower)
+ * @property {string} [quantizer='neuquant'] - Color quantization algorithm, one of {@link QUANTIZERS}
+ * @property {string} [dither='none'] - Dithering mode, one of {@link DITHERS}
+ * @property {number} [ditherStrength=1] - Dithering strength (0-1)
+ * @property {string} [palette='per-frame'] - Palette mode, one of {@link PALETTE_MODES}
+ * @property {string} [alphaMode='threshold'] - Alpha handling, one of {@link ALPHA_MODES}
+ * @property {number} [alphaThreshold=128] - Smallest alpha kept visible by the `threshold` and
+ *   `matte` modes (1-255)
+ * @property {string} [matte='0xffffff'] - Color semi-transparent pixels are blended onto in `matte`
+ *   mode, as `0xRRGGBB`
+ * @property {(string|number)} transparent - `'auto'` for a reserved key color, `0xRRGGBB` (or
+ *   `0xRRGGBB00`, or a 24-bit RGB number) for a transparent key color, or `0xRRGGBBff` to fill
+ *   transparent areas with an opaque color
+ */
+
+/**
+ * Outcome of a GIF encoding task.
+ * @typedef {Object} GifResult
+ * @property {Uint8Array} data - GIF data
+ * @property {StageTimings} timings - Wall time spent per stage
+ * @property {string[]} warnings - Non-fatal issues found while encoding
+ */
+
+/**
+ * Number of bits needed to index a palette, as stored in GIF color table sizes.
+ * @function
+ * @private
+ * @param {Palette} palette - Palette
+ * @returns {number} Bits per index, 1 to 8
+ */
+const paletteBits = (palette) => Math.max(1, Math.ceil(Math.log2(palette.length / 3)));
+
+/**
+ * Builds a color table, padded with black to a power of two.
+ * @function
+ * @private
+ * @param {Palette} palette - Palette
+ * @returns {Buffer} Color table bytes
+ */
+const colorTable = (palette) => {
+  const data = Buffer.alloc(3 << paletteBits(palette));
+  data.set(palette);
+  return data;
+};
+
+/**
+ * Builds the GIF header and logical screen descriptor, followed by the global color table
+ * when there is one.
+ * @function
+ * @private
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {?Palette} palette - Global palette, `null` when every frame has its own
+ * @returns {Buffer} Header bytes
+ */
+const screenDescriptor = (width, height, palette) => {
+  const data = Buffer.alloc(13);
+  data.write('GIF89a', 0, 'latin1');
+  data.writeUInt16LE(width, 6);
+  data.writeUInt16LE(height, 8);
+  if (!palette) return data;
+  const bits = paletteBits(palette);
+  data[10] = 0x80 | ((bits - 1) << 4) | (bits - 1);
+  return Buffer.concat([data, colorTable(palette)]);
+};
+
+/**
+ * Builds the NETSCAPE2.0 application extension holding the loop count.
+ * @function
+ * @private
+ * @param {number} loops - Loop count, 0 meaning infinite
+ * @returns {Buffer} Extension bytes
+ */
+const loopExtension = (loops) => {
+  const data = Buffer.alloc(19);
+  data.set([0x21, 0xff, 11]);
+  data.write('NETSCAPE2.0', 3, 'latin1');
+  data.set([3, 1], 14);
+  data.writeUInt16LE(loops, 16);
+  return data;
+};
+
+/**
+ * Builds a graphic control extension. Frames with a transparent index are disposed to the
+ * background, so transparent areas don't show the previous frame.
+ * @function
+ * @private
+ * @param {number} delay - Frame duration in milliseconds
+ * @param {number} transparentIndex - Palette index shown as transparent, -1 for none
+ * @returns {Buffer} Extension bytes
+ */
+const graphicControl = (delay, transparentIndex) => {
+  const data = Buffer.alloc(8);
+  data.set([0x21, 0xf9, 4]);
+  data[3] = transparentIndex >= 0 ? (2 << 2) | 1 : 0;
+  data.writeUInt16LE(Math.round(delay / 10), 4);
+  data[6] = Math.max(transparentIndex, 0);
+  return data;
+};
+
+/**
+ * Builds a full-canvas image descriptor, followed by its local color table when it has one.
+ * @function
+ * @private
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {?Palette} palette - Local palette, `null` for frames using the global one
+ * @returns {Buffer} Descriptor and color table bytes
+ */
+const imageDescriptor = (width, height, palette) => {
+  const data = Buffer.alloc(10);
+  data[0] = 0x2c;
+  data.writeUInt16LE(width, 5);
+  data.writeUInt16LE(height, 7);
+  if (!palette) return data;
+  data[9] = 0x80 | (paletteBits(palette) - 1);
+  return Buffer.concat([data, colorTable(palette)]);
+};
+
+/**
+ * LZW-compresses palette indices into GIF image data sub-blocks.
+ * @function
+ * @private
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @param {number} bits - Bits per index
+ * @returns {Buffer} Image data bytes
+ */
+const imageData = (width, height, indices, bits) => {
+  const bytes = [];
+  const out = {
+    writeByte: byte => bytes.push(byte),
+    writeBytes: (array, offset, length) => {
+      for (let i = offset; i < offset + length; i++) bytes.push(array[i]);
+    }
+  };
+  new LZWEncoder(width, height, indices, bits).encode(out);
+  return Buffer.from(bytes);
+};
+
+/**
+ * Finds the palette entry closest to the transparent color among the entries a frame uses.
+ * @function
+ * @private
+ * @param {Palette} palette - Frame palette
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @param {number} color - Transparent color as a 24-bit RGB value
+ * @returns {number} Palette index
+ */
+const transparentIndex = (palette, indices, color) => {
+  const used = new Uint8Array(palette.length / 3);
+  for (const index of indices) used[index] = 1;
+  let best = 0;
+  let bestDistance = Infinity;
+  for (let i = 0; i < used.length; i++) {
+    if (!used[i]) continue;
+    const dr = (color >> 16) - palette[i * 3];
+    const dg = ((color >> 8) & 0xff) - palette[i * 3 + 1];
+    const db = (color & 0xff) - palette[i * 3 + 2];
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = i;
+    }
+  }
+  return best;
+};
+
+/**
+ * Parses the `transparent` setting. Numeric colors are read as `0xRRGGBB`.
+ * @function
+ * @private
+ * @param {(string|number)} transparent - `'auto'`, `0xRRGGBB`, `0xRRGGBBAA` with alpha `00` or `ff`,
+ *   or a 24-bit RGB number
+ * @returns {{auto: boolean, color: number, fill: boolean}} Whether to reserve a key color, the
+ *   key color as a 24-bit RGB value, and whether transparent areas are filled with it instead
+ */
+const parseTransparent = (transparent) => {
+  const value = typeof transparent === 'number' ? `0x${transparent.toString(16).padStart(6, '0')}` : transparent;
+  return {
+    auto: value === 'auto',
+    color: value === 'auto' ? 0 : parseInt(value.slice(2, 8), 16),
+    fill: value.length === 10 && value.slice(8).toLowerCase() === 'ff'
+  };
+};
+
+/**
+ * Checks whether a frame has fully transparent pixels.
+ * @function
+ * @private
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @returns {boolean} True when any pixel has alpha 0
+ */
+const hasTransparency = (pixels) => {
+  for (let j = 3; j < pixels.length; j += 4) {
+    if (pixels[j] === 0) return true;
+  }
+  return false;
+};
+
+/**
+ * Collects the pixels that aren't fully transparent.
+ * @function
+ * @private
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @returns {Uint8Array} RGBA pixels with alpha above 0
+ */
+const opaquePixels = (pixels) => {
+  const kept = new Uint8Array(pixels.length);
+  let length = 0;
+  for (let j = 0; j < pixels.length; j += 4) {
+    if (pixels[j + 3] === 0) continue;
+    kept.set(pixels.subarray(j, j + 4), length);
+    length += 4;
+  }
+  return kept.subarray(0, length);
+};
+
+/**
+ * Shrinks a palette to at most `colors` entries by repeatedly dropping one of the two
+ * closest entries.
+ * @function
+ * @private
+ * @param {Palette} palette - Palette
+ * @param {number} colors - Largest palette size
+ * @returns {Palette} Palette with at most `colors` entries
+ */
+const limitPalette = (palette, colors) => {
+  const entries = Array.from({ length: palette.length / 3 }, (_, i) => palette.subarray(i * 3, i * 3 + 3));
+  while (entries.length > colors) {
+    let drop = 0;
+    let closest = Infinity;
+    for (let a = 0; a < entries.length; a++) {
+      for (let b = a + 1; b < entries.length; b++) {
+        const distance = (entries[a][0] - entries[b][0]) ** 2 + (entries[a][1] - entries[b][1]) ** 2 +
+          (entries[a][2] - entries[b][2]) ** 2;
+        if (distance < closest) {
+          closest = distance;
+          drop = b;
+        }
+      }
+    }
+    entries.splice(drop, 1);
+  }
+  return Uint8Array.from(entries.flatMap(entry => [...entry]));
+};
+
+/**
+ * Appends a key color that no palette entry uses, for the reserved transparent index.
+ * @function
+ * @private
+ * @param {Palette} palette - Palette with at most 255 entries
+ * @returns {Palette} Palette whose last entry is the key color
+ */
+const withKeyColor = (palette) => {
+  const used = new Set();
+  for (let i = 0; i < palette.length; i += 3) {
+    used.add((palette[i] << 16) | (palette[i + 1] << 8) | palette[i + 2]);
+  }
+  let key = 0xff00ff;
+  while (used.has(key)) key--;
+  const keyed = new Uint8Array(palette.length + 3);
+  keyed.set(palette);
+  keyed.set([key >> 16, (key >> 8) & 0xff, key & 0xff], palette.length);
+  return keyed;
+};
+
+/**
+ * Reduces a frame's alpha channel to fully transparent or fully opaque, in place.
+ * @function
+ * @private
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @param {number} width - Frame width in pixels
+ * @param {GifTask} task - Alpha settings
+ * @returns {number} Number of semi-transparent pixels made fully transparent by the threshold
+ */
+const processAlpha = (pixels, width, { alphaMode = 'threshold', alphaThreshold = 128, matte = '0xffffff' }) => {
+  if (alphaMode === 'dither') {
+    const matrix = bayerMatrix(8);
+    for (let i = 0; i < pixels.length / 4; i++) {
+      const alpha = pixels[i * 4 + 3] / 255;
+      pixels[i * 4 + 3] = alpha > matrix[((i / width | 0) % 8) * 8 + (i % width) % 8] + 0.5 ? 255 : 0;
+    }
+    return 0;
+  }
+
+  let dropped = 0;
+
+  const color = parseInt(matte, 16);
+  const background = [color >> 16, (color >> 8) & 0xff, color & 0xff];
+  for (let j = 0; j < pixels.length; j += 4) {
+    const alpha = pixels[j + 3];
+    if (alpha === 0 || alpha === 255) continue;
+    if (alpha < alphaThreshold) {
+      pixels[j + 3] = 0;
+      dropped++;
+      continue;
+    }
+    if (alphaMode === 'matte') {
+      for (let c = 0; c < 3; c++) {
+        pixels[j + c] = Math.round((pixels[j + c] * alpha + background[c] * (255 - alpha)) / 255);
+      }
+    }
+    pixels[j + 3] = 255;
+  }
+  return dropped;
+};
+
+/**
+ * Paints fully transparent pixels with an opaque color, in place.
+ * @function
+ * @private
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @param {number} color - Fill color as a 24-bit RGB value
+ */
+const fillTransparent = (pixels, color) => {
+  for (let j = 0; j < pixels.length; j += 4) {
+    if (pixels[j + 3] !== 0) continue;
+    pixels.set([color >> 16, (color >> 8) & 0xff, color & 0xff, 255], j);
+  }
+};
+
+/**
+ * Collects the pixels a global palette is built from: every frame, or evenly spaced frames
+ * when there are more than {@link GLOBAL_SAMPLE_PIXELS} pixels in total.
+ * @function
+ * @private
+ * @param {GifFrame[]} frames - Frames
+ * @returns {Uint8Array} RGBA pixels of the sampled frames
+ */
+const samplePixels = (frames) => {
+  const frameSize = frames[0].data.length;
+  const step = Math.max(1, Math.ceil(frames.length * frameSize / 4 / GLOBAL_SAMPLE_PIXELS));
+  const sampled = frames.filter((frame, i) => i % step === 0);
+  const pixels = new Uint8Array(sampled.length * frameSize);
+  sampled.forEach((frame, i) => pixels.set(frame.data, i * frameSize));
+  return pixels;
+};
+
+/**
+ * Quantizes and LZW-encodes alpha-processed frames with one palette mode, yielding to the event
+ * loop between frames so timeouts and abort signals can interrupt it.
+ * @function
+ * @async
+ * @private
+ * @param {GifTask} task - Frames and settings
+ * @param {string} mode - `global` or `per-frame`
+ * @param {number[]} delays - Frame delays in milliseconds, clamped to {@link MAX_GIF_DELAY}
+ * @param {AbortSignal} [signal] - Stops encoding between frames when aborted
+ * @param {Function} [onFrame] - Called with `{ frame, total }` after each frame is encoded
+ * @returns {Promise<{palette: ?Palette, chunks: Buffer[], size: number, error: number}>} Global palette,
+ *   encoded frames, their size in bytes and the summed squared color error of opaque pixels
+ * @throws {AbortError} When the signal aborts before encoding completes
+ */
+const encodeFrames = async (task, mode, delays, signal, onFrame = () => {}) => {
+  const { width, height, frames, quality, quantizer, dither, ditherStrength, transparent = '0x000000' } = task;
+  const key = parseTransparent(transparent);
+  // With an automatic key color, transparent pixels don't take part in quantization, and the
+  // last palette index is kept for the key color when frames need it.
+  const paletteFor = (pixels, reserve) => {
+    const source = key.auto ? opaquePixels(pixels) : pixels;
+    const colors = reserve ? 255 : 256;
+    const palette = source.length ? limitPalette(buildPalette(source, { quantizer, quality, colors }), colors) : new Uint8Array(0);
+    return reserve ? withKeyColor(palette) : palette;
+  };
+  const reserveGlobal = mode === 'global' && key.auto && frames.some(frame => hasTransparency(frame.data));
+  const global = mode === 'global' ? paletteFor(samplePixels(frames), reserveGlobal) : null;
+  const chunks = [];
+  let error = 0;
+
+  for (let i = 0; i < frames.length; i++) {
+    await yieldToEventLoop();
+    throwIfAborted(signal);
+    const pixels = frames[i].data;
+    const reserve = global ? reserveGlobal : key.auto && hasTransparency(pixels);
+    const palette = global || paletteFor(pixels, reserve);
+    let keyIndex = reserve ? palette.length / 3 - 1 : -1;
+    const colors = reserve ? palette.subarray(0, keyIndex * 3) : palette;
+    const indices = mapPixels(pixels, colors, { width, dither, strength: ditherStrength });
+    if (!key.auto && !key.fill) keyIndex = transparentIndex(palette, indices, key.color);
+    for (let j = 0; j < indices.length; j++) {
+      if (pixels[j * 4 + 3] === 0) {
+        indices[j] = keyIndex;
+        continue;
+      }
+      for (let c = 0; c < 3; c++) error += (pixels[j * 4 + c] - palette[indices[j] * 3 + c]) ** 2;
+    }
+
+    chunks.push(
+      graphicControl(delays[i], keyIndex),
+      imageDescriptor(width, height, global ? null : palette),
+      imageData(width, height, indices, paletteBits(palette))
+    );
+    onFrame({ frame: i, total: frames.length });
+  }
+
+  return { palette: global, chunks, size: chunks.reduce((sum, chunk) => sum + chunk.length, 0), error };
+};
+
+/**
+ * Alpha-processes frames, then quantizes and LZW-encodes them as a GIF. With the `auto`
+ * palette mode, frames are encoded with a global palette and with per-frame palettes, and the
+ * smaller result is kept unless its color error is more than 10% higher than the other's.
+ * @function
+ * @async
+ * @param {GifTask} task - Frames and settings
+ * @param {AbortSignal} [signal] - Stops encoding between frames when aborted
+ * @param {Function} [onFrame] - Called with `{ frame, total }` after each frame is encoded
+ * @returns {Promise<GifResult>} GIF data with timings and warnings
+ * @throws {AbortError} When the signal aborts before encoding completes
+ */
+const encodeGif = async (task, signal, onFrame = () => {}) => {
+  const { width, height, loops, frames, palette = 'per-frame', alphaThreshold = 128, transparent = '0x000000' } = task;
+  const key = parseTransparent(transparent);
+  const timings = { decode: 0, composite: 0, quantize: 0, write: 0 };
+  const warnings = [];
+  const delays = [];
+
+  let roundedDelays = 0;
+  let clampedDelays = 0;
+  let droppedPixels = 0;
+
+  let start = performance.now();
+  for (const frame of frames) {
+    await yieldToEventLoop();
+    throwIfAborted(signal);
+    droppedPixels += processAlpha(frame.data, width, task);
+    if (key.fill) fillTransparent(frame.data, key.color);
+
+    let delay = frame.delay;
+    if (delay > MAX_GIF_DELAY) {
+      delay = MAX_GIF_DELAY;
+      clampedDelays++;
+    } else if (delay % 10 !== 0) {
+      roundedDelays++;
+    }
+    delays.push(delay);
+  }
+  timings.composite += performance.now() - start;
+
+  start = performance.now();
+  let encoded;
+  if (palette === 'auto') {
+    const global = await encodeFrames(task, 'global', delays, signal);
+    const perFrame = await encodeFrames(task, 'per-frame', delays, signal, onFrame);
+    const [smaller, larger] = global.size <= perFrame.size ? [global, perFrame] : [perFrame, global];
+    encoded = smaller.error <= larger.error * AUTO_ERROR_TOLERANCE ? smaller : larger;
+  } else {
+    encoded = await encodeFrames(task, palette, delays, signal, onFrame);
+  }
+  timings.quantize += performance.now() - start;
+
+  start = performance.now();
+  const data = Buffer.concat([
+    screenDescriptor(width, height, encoded.palette),
+    ...(loops >= 0 ? [loopExtension(loops)] : []),
+    ...encoded.chunks,
+    Buffer.from([0x3b])
+  ]);
+  timings.write += performance.now() - start;
+
+  if (clampedDelays) {
+    warnings.push(`${clampedDelays} frame delay(s) clamped to ${MAX_GIF_DELAY} ms, the GIF maximum`);
+  }
+  if (roundedDelays) {
+    warnings.push(`${roundedDelays} frame delay(s) rounded to GIF's 10 ms resolution`);
+  }
+  if (droppedPixels) {
+    warnings.push(`${droppedPixels} semi-transparent pixel(s) made fully transparent (alpha below ${alphaThreshold})`);
+  }
+
+  return { data, timings, warnings };
+};
+
+module.exports = { MAX_GIF_DELAY, ALPHA_MODES, PALETTE_MODES, encodeGif };
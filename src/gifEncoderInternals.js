@@ -0,0 +1,14 @@
+/**
+ * @file gifEncoderInternals.js
+ * @description Internal modules of gif-encoder-2 used by the GIF encoder and the quantizers
+ * @author caed0
+ */
+
+// gif-encoder-2 doesn't export these modules, so they are required by path. The paths are not part
+// of its public API and may move in any release, which is why package.json pins it to an exact version.
+// Every deep import lives here so an upgrade only needs to be checked in one place.
+const LZWEncoder = require('gif-encoder-2/src/LZWEncoder.js');
+const NeuQuant = require('gif-encoder-2/src/TypedNeuQuant.js');
+const { OctreeQuant, Color } = require('gif-encoder-2/src/OctreeQuant.js');
+
+module.exports = { LZWEncoder, NeuQuant, OctreeQuant, Color };
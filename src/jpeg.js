@@ -0,0 +1,95 @@
+/**
+ * @file jpeg.js
+ * @description JPEG encoding of RGBA images through node-canvas, flattening alpha onto a background color
+ * @author caed0
+ */
+
+/**
+ * JPEG encoder settings used when the `jpeg` setting leaves them out.
+ * @constant {JpegOptions}
+ * @private
+ */
+const JPEG_DEFAULTS = {
+  quality: 90,
+  progressive: false,
+  chromaSubsampling: true
+};
+
+/**
+ * JPEG encoder settings.
+ * @typedef {Object} JpegOptions
+ * @property {number} [quality=90] - JPEG quality (1-100, higher = better quality and larger file)
+ * @property {boolean} [progressive=false] - Write a progressive JPEG
+ * @property {boolean} [chromaSubsampling=true] - Subsample chroma 2x2 (4:2:0); `false` keeps full
+ *   chroma resolution (4:4:4)
+ */
+
+/**
+ * The canvas module, or the error it failed to load with. `undefined` until first used.
+ * @type {(Object|Error|undefined)}
+ * @private
+ */
+let canvas;
+
+/**
+ * Loads canvas on first use.
+ * @function
+ * @private
+ * @returns {Object} The canvas module
+ * @throws {Error} When the native module cannot be loaded
+ */
+const loadCanvas = () => {
+  if (canvas === undefined) {
+    try {
+      canvas = require('canvas');
+    } catch (error) {
+      canvas = error;
+    }
+  }
+  if (canvas instanceof Error) {
+    throw new Error(`JPEG output needs the canvas module, which failed to load; run converter.doctor() to diagnose the installation (${canvas.message.split('\n')[0]})`);
+  }
+  return canvas;
+};
+
+/**
+ * Composites RGBA pixels over an opaque background color.
+ * @function
+ * @private
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @param {string} background - Background color as `0xRRGGBB`
+ * @returns {Uint8ClampedArray} Opaque RGBA pixels
+ */
+const flatten = (pixels, background) => {
+  const color = parseInt(background.slice(2), 16);
+  const matte = [(color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff];
+  const out = new Uint8ClampedArray(pixels.length);
+  for (let i = 0; i < pixels.length; i += 4) {
+    const alpha = pixels[i + 3];
+    for (let c = 0; c < 3; c++) {
+      out[i + c] = Math.round((pixels[i + c] * alpha + matte[c] * (255 - alpha)) / 255);
+    }
+    out[i + 3] = 255;
+  }
+  return out;
+};
+
+/**
+ * Flattens an RGBA image onto a background color and encodes it as a JPEG.
+ * @function
+ * @param {DecodedImage} image - Image to encode
+ * @param {Object} options - Encoder settings
+ * @param {string} options.background - Background color as `0xRRGGBB`
+ * @param {JpegOptions} [options.jpeg] - JPEG encoder settings
+ * @returns {Buffer} JPEG data
+ * @throws {Error} When canvas cannot be loaded
+ */
+const encodeJpeg = ({ width, height, data }, { background, jpeg }) => {
+  const { createCanvas, createImageData } = loadCanvas();
+  const { quality, progressive, chromaSubsampling } = { ...JPEG_DEFAULTS, ...jpeg };
+  const target = createCanvas(width, height);
+  target.getContext('2d').putImageData(createImageData(flatten(data, background), width, height), 0, 0);
+  return target.toBuffer('image/jpeg', { quality: quality / 100, progressive, chromaSubsampling });
+};
+
+module.exports = { encodeJpeg };
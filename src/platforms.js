@@ -0,0 +1,34 @@
+/**
+ * @file platforms.js
+ * @description libwebp release archives available for download, shared by install.js and diagnostics
+ * @author caed0
+ */
+
+/**
+ * Version of libwebp downloaded by install.js.
+ * @constant {string}
+ */
+const LIBWEBP_VERSION = '1.5.0';
+
+/**
+ * Release archive name per `platform-arch`, as reported by `os.platform()` and `os.arch()`.
+ * @constant {Object<string, string>}
+ */
+const ARCHIVES = {
+  'linux-x64': `libwebp-${LIBWEBP_VERSION}-linux-x86-64.tar.gz`,
+  'linux-arm64': `libwebp-${LIBWEBP_VERSION}-linux-aarch64.tar.gz`,
+  'darwin-x64': `libwebp-${LIBWEBP_VERSION}-mac-x86-64.tar.gz`,
+  'darwin-arm64': `libwebp-${LIBWEBP_VERSION}-mac-arm64.tar.gz`,
+  'win32-x64': `libwebp-${LIBWEBP_VERSION}-windows-x64.zip`
+};
+
+/**
+ * Looks up the release archive for a platform.
+ * @function
+ * @param {string} platform - Operating system, e.g. `linux`
+ * @param {string} arch - CPU architecture, e.g. `x64`
+ * @returns {?string} Archive name, or `null` when no prebuilt binaries exist for the platform
+ */
+const getArchiveName = (platform, arch) => ARCHIVES[`${platform}-${arch}`] || null;
+
+module.exports = { LIBWEBP_VERSION, ARCHIVES, getArchiveName };
@@ -0,0 +1,116 @@
+/**
+ * @file png.js
+ * @description PNG encoder for RGBA pixel data, built on zlib
+ * @author caed0
+ */
+
+const zlib = require('zlib');
+
+/**
+ * PNG file signature.
+ * @constant {Buffer}
+ * @private
+ */
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * CRC-32 lookup table used by PNG chunks.
+ * @constant {Int32Array}
+ * @private
+ */
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+/**
+ * Computes the CRC-32 of the given bytes.
+ * @function
+ * @private
+ * @param {Buffer} buffer - Bytes to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+const crc32 = (buffer) => {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+};
+
+/**
+ * Builds a PNG chunk (length, type, data and CRC).
+ * @function
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Encoded chunk
+ */
+const chunk = (type, data) => {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+  return Buffer.concat([header, data, crc]);
+};
+
+/**
+ * Builds the IHDR chunk data for an 8-bit RGBA image.
+ * @function
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Buffer} IHDR chunk
+ */
+const header = (width, height) => {
+  const data = Buffer.alloc(13);
+  data.writeUInt32BE(width, 0);
+  data.writeUInt32BE(height, 4);
+  data[8] = 8; // bit depth
+  data[9] = 6; // color type: RGBA
+  return chunk('IHDR', data);
+};
+
+/**
+ * Filters and deflates RGBA pixels into PNG image data. Every row uses the Sub filter,
+ * which compresses flat-color sticker art well at little cost.
+ * @function
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Uint8Array} pixels - RGBA pixels, `width * height * 4` bytes
+ * @returns {Buffer} Compressed image data
+ */
+const compress = (width, height, pixels) => {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * (stride + 1);
+    const src = y * stride;
+    raw[row] = 1;
+    for (let x = 0; x < stride; x++) {
+      raw[row + 1 + x] = (pixels[src + x] - (x >= 4 ? pixels[src + x - 4] : 0)) & 0xff;
+    }
+  }
+  return zlib.deflateSync(raw);
+};
+
+/**
+ * Encodes RGBA pixels as a PNG image.
+ * @function
+ * @param {{width: number, height: number, data: Uint8Array}} image - Image to encode
+ * @returns {Buffer} PNG data
+ */
+const encodePng = ({ width, height, data }) => Buffer.concat([
+  SIGNATURE,
+  header(width, height),
+  chunk('IDAT', compress(width, height, data)),
+  chunk('IEND', Buffer.alloc(0))
+]);
+
+module.exports = { SIGNATURE, chunk, header, compress, encodePng };
@@ -0,0 +1,569 @@
+/**
+ * @file quantize.js
+ * @description Color quantization of RGBA frames into GIF palettes. Runs on the main thread or inside a worker.
+ * @author caed0
+ */
+
+const { NeuQuant, OctreeQuant, Color } = require('./gifEncoderInternals.js');
+
+/**
+ * Available quantization algorithms.
+ * @constant {string[]}
+ */
+const QUANTIZERS = ['neuquant', 'octree', 'median-cut', 'wu', 'k-means'];
+
+/**
+ * Available dithering modes: none, error diffusion kernels and ordered Bayer matrices.
+ * @constant {string[]}
+ */
+const DITHERS = ['none', 'floyd-steinberg', 'atkinson', 'sierra', 'bayer4', 'bayer8'];
+
+/**
+ * Error diffusion kernels as `[dx, dy, weight]` entries. Atkinson deliberately spreads only
+ * 3/4 of the error, which keeps contrast in flat areas.
+ * @constant {Object<string, number[][]>}
+ * @private
+ */
+const DIFFUSION_KERNELS = {
+  'floyd-steinberg': [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]]
+    .map(([dx, dy, weight]) => [dx, dy, weight / 16]),
+  atkinson: [[1, 0], [2, 0], [-1, 1], [0, 1], [1, 1], [0, 2]]
+    .map(([dx, dy]) => [dx, dy, 1 / 8]),
+  sierra: [[1, 0, 5], [2, 0, 3], [-2, 1, 2], [-1, 1, 4], [0, 1, 5], [1, 1, 4], [2, 1, 2], [-1, 2, 2], [0, 2, 3], [1, 2, 2]]
+    .map(([dx, dy, weight]) => [dx, dy, weight / 32])
+};
+
+/**
+ * Channel offset range of ordered dithering at full strength, roughly the gap between
+ * neighbouring colors of a 256-color palette.
+ * @constant {number}
+ * @private
+ */
+const ORDERED_SPREAD = 32;
+
+/**
+ * Bits per channel kept by the color histograms of median-cut and k-means.
+ * @constant {number}
+ * @private
+ */
+const HISTOGRAM_BITS = 5;
+
+/**
+ * Largest NeuQuant sampling factor; higher `quality` values are clamped to it.
+ * @constant {number}
+ * @private
+ */
+const MAX_SAMPLE_FACTOR = 30;
+
+/**
+ * k-means iterations at sampling factor 1; a factor of `n` runs `1 / n` as many.
+ * @constant {number}
+ * @private
+ */
+const KMEANS_ITERATIONS = 40;
+
+/**
+ * Side of Wu's moment cube: 32 levels per channel plus a zero border.
+ * @constant {number}
+ * @private
+ */
+const WU_SIDE = 33;
+
+/**
+ * Palette as packed RGB triplets, at most 256 colors.
+ * @typedef {Uint8Array} Palette
+ */
+
+/**
+ * Color of a histogram bin: the mean of the pixels that fell into it.
+ * @typedef {Object} HistogramEntry
+ * @property {number} r - Mean red
+ * @property {number} g - Mean green
+ * @property {number} b - Mean blue
+ * @property {number} count - Number of pixels
+ * @private
+ */
+
+/**
+ * Packs a list of colors into a palette.
+ * @function
+ * @private
+ * @param {Array<{r: number, g: number, b: number}>} colors - Colors with channels in 0-255
+ * @returns {Palette} Palette
+ */
+const toPalette = (colors) => {
+  const palette = new Uint8Array(colors.length * 3);
+  colors.forEach(({ r, g, b }, i) => {
+    palette[i * 3] = Math.round(r);
+    palette[i * 3 + 1] = Math.round(g);
+    palette[i * 3 + 2] = Math.round(b);
+  });
+  return palette;
+};
+
+/**
+ * Lists the distinct colors of a frame when there are at most `limit` of them, so they can
+ * be kept exactly.
+ * @function
+ * @private
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @param {number} limit - Largest number of colors to collect
+ * @returns {?Palette} The distinct colors, or `null` when there are more than `limit`
+ */
+const distinctColors = (pixels, limit) => {
+  const seen = new Set();
+  for (let i = 0; i < pixels.length; i += 4) {
+    seen.add((pixels[i] << 16) | (pixels[i + 1] << 8) | pixels[i + 2]);
+    if (seen.size > limit) return null;
+  }
+  return toPalette([...seen].map(rgb => ({ r: rgb >> 16, g: (rgb >> 8) & 0xff, b: rgb & 0xff })));
+};
+
+/**
+ * Builds a histogram of the frame with {@link HISTOGRAM_BITS} bits per channel.
+ * @function
+ * @private
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @returns {HistogramEntry[]} Non-empty bins
+ */
+const histogram = (pixels) => {
+  const shift = 8 - HISTOGRAM_BITS;
+  const bins = new Float64Array((1 << (HISTOGRAM_BITS * 3)) * 4);
+  for (let i = 0; i < pixels.length; i += 4) {
+    const r = pixels[i];
+    const g = pixels[i + 1];
+    const b = pixels[i + 2];
+    const bin = (((r >> shift) << (HISTOGRAM_BITS * 2)) | ((g >> shift) << HISTOGRAM_BITS) | (b >> shift)) * 4;
+    bins[bin] += r;
+    bins[bin + 1] += g;
+    bins[bin + 2] += b;
+    bins[bin + 3]++;
+  }
+  const entries = [];
+  for (let bin = 0; bin < bins.length; bin += 4) {
+    const count = bins[bin + 3];
+    if (count) entries.push({ r: bins[bin] / count, g: bins[bin + 1] / count, b: bins[bin + 2] / count, count });
+  }
+  return entries;
+};
+
+/**
+ * Converts a quality setting into a NeuQuant sampling factor: 1 samples every pixel, 10 every
+ * tenth, and 30 and above are the fastest setting.
+ * @function
+ * @private
+ * @param {number} quality - Quality setting
+ * @returns {number} Sampling factor from 1 to {@link MAX_SAMPLE_FACTOR}
+ */
+const sampleFactor = (quality) => Math.min(Math.max(Math.round(quality), 1), MAX_SAMPLE_FACTOR);
+
+/**
+ * Quantizes with the NeuQuant neural network from gif-encoder-2.
+ * @function
+ * @private
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @param {number} quality - Sampling factor (1 = every pixel and best colors, 30 = fastest)
+ * @returns {Palette} 256-color palette
+ */
+const neuquant = (pixels, quality) => {
+  const rgb = new Uint8Array(pixels.length / 4 * 3);
+  for (let i = 0, j = 0; i < pixels.length; i += 4) {
+    rgb[j++] = pixels[i];
+    rgb[j++] = pixels[i + 1];
+    rgb[j++] = pixels[i + 2];
+  }
+  const network = new NeuQuant(rgb, sampleFactor(quality));
+  network.buildColormap();
+  return Uint8Array.from(network.getColormap());
+};
+
+/**
+ * Quantizes with the octree quantizer from gif-encoder-2.
+ * @function
+ * @private
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @param {number} colors - Largest palette size
+ * @returns {Palette} Palette
+ */
+const octree = (pixels, colors) => {
+  const tree = new OctreeQuant();
+  for (let i = 0; i < pixels.length; i += 4) {
+    tree.addColor(new Color(pixels[i], pixels[i + 1], pixels[i + 2]));
+  }
+  return toPalette(tree.makePalette(colors).map(({ red, green, blue }) => ({ r: red, g: green, b: blue })));
+};
+
+/**
+ * Weighted mean color of histogram entries.
+ * @function
+ * @private
+ * @param {HistogramEntry[]} entries - Entries to average
+ * @returns {HistogramEntry} Mean color and total count
+ */
+const meanColor = (entries) => {
+  let r = 0, g = 0, b = 0, count = 0;
+  for (const entry of entries) {
+    r += entry.r * entry.count;
+    g += entry.g * entry.count;
+    b += entry.b * entry.count;
+    count += entry.count;
+  }
+  return { r: r / count, g: g / count, b: b / count, count };
+};
+
+/**
+ * Splits the color histogram into boxes with Heckbert's median cut: the box with the widest
+ * channel range, weighted by its pixel count, is repeatedly cut in two at its median pixel.
+ * @function
+ * @private
+ * @param {HistogramEntry[]} entries - Color histogram
+ * @param {number} colors - Largest number of boxes
+ * @returns {HistogramEntry[][]} Boxes of histogram entries
+ */
+const medianCutBoxes = (entries, colors) => {
+  const describe = (items) => {
+    let best = { channel: 'r', range: -1 };
+    for (const channel of ['r', 'g', 'b']) {
+      let min = 255, max = 0;
+      for (const item of items) {
+        if (item[channel] < min) min = item[channel];
+        if (item[channel] > max) max = item[channel];
+      }
+      if (max - min > best.range) best = { channel, range: max - min };
+    }
+    const count = items.reduce((sum, item) => sum + item.count, 0);
+    return { items, count, ...best, score: best.range * count };
+  };
+
+  const boxes = [describe(entries)];
+  while (boxes.length < colors) {
+    let index = -1;
+    for (let i = 0; i < boxes.length; i++) {
+      if (boxes[i].items.length > 1 && (index === -1 || boxes[i].score > boxes[index].score)) index = i;
+    }
+    if (index === -1) break;
+
+    const { items, count, channel } = boxes[index];
+    items.sort((a, b) => a[channel] - b[channel]);
+    let split = 0;
+    for (let seen = 0; split < items.length - 1 && seen + items[split].count <= count / 2; split++) {
+      seen += items[split].count;
+    }
+    split = Math.max(split, 1);
+    boxes.splice(index, 1, describe(items.slice(0, split)), describe(items.slice(split)));
+  }
+  return boxes.map(box => box.items);
+};
+
+/**
+ * Quantizes with median cut.
+ * @function
+ * @private
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @param {number} colors - Largest palette size
+ * @returns {Palette} Palette
+ */
+const medianCut = (pixels, colors) => toPalette(medianCutBoxes(histogram(pixels), colors).map(meanColor));
+
+/**
+ * Quantizes with k-means clustering of the color histogram, seeded with the median-cut palette.
+ * @function
+ * @private
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @param {number} colors - Largest palette size
+ * @param {number} quality - Sampling factor (1-30, lower = better and slower): runs up to
+ *   `KMEANS_ITERATIONS / quality` iterations
+ * @returns {Palette} Palette
+ */
+const kMeans = (pixels, colors, quality) => {
+  const entries = histogram(pixels);
+  const centers = medianCutBoxes(entries, colors).map(meanColor);
+  const iterations = Math.max(1, Math.round(KMEANS_ITERATIONS / sampleFactor(quality)));
+  const assignment = new Int32Array(entries.length);
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    let moved = iteration === 0;
+    entries.forEach((entry, i) => {
+      let best = 0;
+      let bestDistance = Infinity;
+      centers.forEach((center, c) => {
+        const dr = entry.r - center.r;
+        const dg = entry.g - center.g;
+        const db = entry.b - center.b;
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = c;
+        }
+      });
+      if (assignment[i] !== best) {
+        assignment[i] = best;
+        moved = true;
+      }
+    });
+    if (!moved) break;
+
+    const clusters = centers.map(() => []);
+    entries.forEach((entry, i) => clusters[assignment[i]].push(entry));
+    clusters.forEach((cluster, c) => {
+      if (cluster.length) centers[c] = meanColor(cluster);
+    });
+  }
+  return toPalette(centers);
+};
+
+/**
+ * Quantizes with Xiaolin Wu's algorithm, which cuts the RGB cube into boxes minimising the
+ * total variance, using cumulative color moments over a 32-level-per-channel histogram.
+ * @function
+ * @private
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @param {number} colors - Largest palette size
+ * @returns {Palette} Palette
+ */
+const wu = (pixels, colors) => {
+  const size = WU_SIDE * WU_SIDE * WU_SIDE;
+  const index = (r, g, b) => (r * WU_SIDE + g) * WU_SIDE + b;
+  const weights = new Float64Array(size);
+  const moments = [new Float64Array(size), new Float64Array(size), new Float64Array(size)];
+  const squares = new Float64Array(size);
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    const cell = index((pixels[i] >> 3) + 1, (pixels[i + 1] >> 3) + 1, (pixels[i + 2] >> 3) + 1);
+    weights[cell]++;
+    for (let c = 0; c < 3; c++) moments[c][cell] += pixels[i + c];
+    squares[cell] += pixels[i] * pixels[i] + pixels[i + 1] * pixels[i + 1] + pixels[i + 2] * pixels[i + 2];
+  }
+
+  // Turn the histogram into cumulative moments, so any box can be summed from its 8 corners.
+  const tables = [weights, ...moments, squares];
+  for (const table of tables) {
+    for (let r = 1; r < WU_SIDE; r++) {
+      const area = new Float64Array(WU_SIDE);
+      for (let g = 1; g < WU_SIDE; g++) {
+        let line = 0;
+        for (let b = 1; b < WU_SIDE; b++) {
+          const cell = index(r, g, b);
+          line += table[cell];
+          area[b] += line;
+          table[cell] = table[index(r - 1, g, b)] + area[b];
+        }
+      }
+    }
+  }
+
+  const volume = (box, table) =>
+    table[index(box.r1, box.g1, box.b1)] - table[index(box.r1, box.g1, box.b0)] -
+    table[index(box.r1, box.g0, box.b1)] + table[index(box.r1, box.g0, box.b0)] -
+    table[index(box.r0, box.g1, box.b1)] + table[index(box.r0, box.g1, box.b0)] +
+    table[index(box.r0, box.g0, box.b1)] - table[index(box.r0, box.g0, box.b0)];
+
+  // Sum of the box's slab at position `pos` along one axis, from the box's other corners.
+  const strides = { r: WU_SIDE * WU_SIDE, g: WU_SIDE, b: 1 };
+  const slab = (box, axis, pos, table) => {
+    const [p, q] = axis === 'r' ? ['g', 'b'] : axis === 'g' ? ['r', 'b'] : ['r', 'g'];
+    const base = pos * strides[axis];
+    const p0 = box[`${p}0`] * strides[p];
+    const p1 = box[`${p}1`] * strides[p];
+    const q0 = box[`${q}0`] * strides[q];
+    const q1 = box[`${q}1`] * strides[q];
+    return table[base + p1 + q1] - table[base + p1 + q0] - table[base + p0 + q1] + table[base + p0 + q0];
+  };
+
+  const variance = (box) => {
+    const weight = volume(box, weights);
+    if (!weight) return 0;
+    const [r, g, b] = moments.map(table => volume(box, table));
+    return volume(box, squares) - (r * r + g * g + b * b) / weight;
+  };
+
+  const maximize = (box, axis, whole) => {
+    const base = tables.slice(0, 4).map(table => -slab(box, axis, box[`${axis}0`], table));
+    let best = { gain: 0, cut: -1 };
+    for (let pos = box[`${axis}0`] + 1; pos < box[`${axis}1`]; pos++) {
+      const half = tables.slice(0, 4).map((table, t) => base[t] + slab(box, axis, pos, table));
+      if (!half[0]) continue;
+      const rest = whole.map((value, t) => value - half[t]);
+      if (!rest[0]) continue;
+      const gain = (half[1] ** 2 + half[2] ** 2 + half[3] ** 2) / half[0] +
+        (rest[1] ** 2 + rest[2] ** 2 + rest[3] ** 2) / rest[0];
+      if (gain > best.gain) best = { gain, cut: pos };
+    }
+    return best;
+  };
+
+  const cut = (box) => {
+    const whole = tables.slice(0, 4).map(table => volume(box, table));
+    const [axis, best] = ['r', 'g', 'b']
+      .map(name => [name, maximize(box, name, whole)])
+      .reduce((a, b) => b[1].gain > a[1].gain ? b : a);
+    if (best.cut < 0) return null;
+    const upper = { ...box, [`${axis}0`]: best.cut };
+    box[`${axis}1`] = best.cut;
+    return upper;
+  };
+
+  const boxes = [{ r0: 0, r1: WU_SIDE - 1, g0: 0, g1: WU_SIDE - 1, b0: 0, b1: WU_SIDE - 1 }];
+  const variances = [0];
+  let next = 0;
+  while (boxes.length < colors) {
+    const upper = cut(boxes[next]);
+    if (upper) {
+      boxes.push(upper);
+      variances[next] = variance(boxes[next]);
+      variances.push(variance(upper));
+    } else {
+      variances[next] = 0;
+    }
+    next = variances.indexOf(Math.max(...variances));
+    if (variances[next] <= 0) break;
+  }
+
+  return toPalette(boxes
+    .map(box => ({ weight: volume(box, weights), sums: moments.map(table => volume(box, table)) }))
+    .filter(({ weight }) => weight > 0)
+    .map(({ weight, sums }) => ({ r: sums[0] / weight, g: sums[1] / weight, b: sums[2] / weight })));
+};
+
+/**
+ * Builds a palette for a frame.
+ * @function
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @param {Object} options - Quantizer settings
+ * @param {string} [options.quantizer='neuquant'] - One of {@link QUANTIZERS}
+ * @param {number} [options.quality=10] - NeuQuant-style sampling factor (1-30, lower = better and
+ *   slower); used by neuquant and k-means
+ * @param {number} [options.colors=256] - Largest palette size
+ * @returns {Palette} Palette
+ */
+const buildPalette = (pixels, { quantizer = 'neuquant', quality = 10, colors = 256 }) => {
+  if (quantizer === 'neuquant') return neuquant(pixels, quality);
+  if (quantizer === 'octree') return octree(pixels, colors);
+  const exact = distinctColors(pixels, colors);
+  if (exact) return exact;
+  if (quantizer === 'median-cut') return medianCut(pixels, colors);
+  if (quantizer === 'wu') return wu(pixels, colors);
+  return kMeans(pixels, colors, quality);
+};
+
+/**
+ * Finds the palette entry closest to a color.
+ * @function
+ * @param {Palette} palette - Palette to search
+ * @param {number} r - Red
+ * @param {number} g - Green
+ * @param {number} b - Blue
+ * @returns {number} Palette index
+ */
+const closestIndex = (palette, r, g, b) => {
+  let best = 0;
+  let bestDistance = Infinity;
+  for (let i = 0; i < palette.length; i += 3) {
+    const dr = r - palette[i];
+    const dg = g - palette[i + 1];
+    const db = b - palette[i + 2];
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = i / 3;
+    }
+  }
+  return best;
+};
+
+/**
+ * Builds a Bayer threshold matrix for ordered dithering.
+ * @function
+ * @param {number} size - Matrix side, a power of two
+ * @returns {Float32Array} Row-major thresholds from -0.5 to 0.5
+ */
+const bayerMatrix = (size) => {
+  let matrix = [[0]];
+  while (matrix.length < size) {
+    const n = matrix.length;
+    const next = Array.from({ length: n * 2 }, () => new Array(n * 2));
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const value = matrix[y][x] * 4;
+        next[y][x] = value;
+        next[y][x + n] = value + 2;
+        next[y + n][x] = value + 3;
+        next[y + n][x + n] = value + 1;
+      }
+    }
+    matrix = next;
+  }
+  return Float32Array.from(matrix.flat(), value => (value + 0.5) / (size * size) - 0.5);
+};
+
+/**
+ * Maps every pixel of a frame to its closest palette entry, optionally dithering. Error
+ * diffusion skips fully transparent pixels, which are replaced by the transparent index.
+ * @function
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @param {Palette} palette - Palette
+ * @param {Object} [options] - Dithering settings
+ * @param {number} [options.width] - Frame width in pixels, required when dithering
+ * @param {string} [options.dither='none'] - One of {@link DITHERS}
+ * @param {number} [options.strength=1] - Dithering strength (0-1)
+ * @returns {Uint8Array} Palette index per pixel
+ */
+const mapPixels = (pixels, palette, { width, dither = 'none', strength = 1 } = {}) => {
+  const indices = new Uint8Array(pixels.length / 4);
+  const cache = new Map();
+  const lookup = (r, g, b) => {
+    const rgb = (r << 16) | (g << 8) | b;
+    let index = cache.get(rgb);
+    if (index === undefined) {
+      index = closestIndex(palette, r, g, b);
+      cache.set(rgb, index);
+    }
+    return index;
+  };
+  const clamp = value => Math.min(Math.max(Math.round(value), 0), 255);
+
+  if (dither === 'none' || strength === 0) {
+    for (let i = 0; i < indices.length; i++) {
+      indices[i] = lookup(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]);
+    }
+    return indices;
+  }
+
+  if (dither === 'bayer4' || dither === 'bayer8') {
+    const size = dither === 'bayer4' ? 4 : 8;
+    const matrix = bayerMatrix(size);
+    const spread = ORDERED_SPREAD * strength;
+    for (let i = 0; i < indices.length; i++) {
+      const offset = matrix[((i / width | 0) % size) * size + (i % width) % size] * spread;
+      indices[i] = lookup(
+        clamp(pixels[i * 4] + offset),
+        clamp(pixels[i * 4 + 1] + offset),
+        clamp(pixels[i * 4 + 2] + offset)
+      );
+    }
+    return indices;
+  }
+
+  const kernel = DIFFUSION_KERNELS[dither];
+  const errors = new Float32Array(indices.length * 3);
+  const height = indices.length / width;
+  for (let i = 0; i < indices.length; i++) {
+    if (pixels[i * 4 + 3] === 0) continue;
+    const x = i % width;
+    const y = i / width | 0;
+    const color = [0, 1, 2].map(c => clamp(pixels[i * 4 + c] + errors[i * 3 + c]));
+    const index = lookup(color[0], color[1], color[2]);
+    indices[i] = index;
+    for (let c = 0; c < 3; c++) {
+      const error = (color[c] - palette[index * 3 + c]) * strength;
+      for (const [dx, dy, weight] of kernel) {
+        const tx = x + dx;
+        const ty = y + dy;
+        if (tx >= 0 && tx < width && ty < height) errors[(ty * width + tx) * 3 + c] += error * weight;
+      }
+    }
+  }
+  return indices;
+};
+
+module.exports = { QUANTIZERS, DITHERS, bayerMatrix, buildPalette, closestIndex, mapPixels };
@@ -0,0 +1,312 @@
+/**
+ * @file riff.js
+ * @description Minimal RIFF/WebP container parser used to identify and inspect WebP data
+ * @author caed0
+ * @see https://developers.google.com/speed/webp/docs/riff_container
+ */
+
+/**
+ * VP8X feature flags.
+ * @constant {Object<string, number>}
+ */
+const VP8X_FLAGS = {
+  ANIMATION: 0x02,
+  XMP: 0x04,
+  EXIF: 0x08,
+  ALPHA: 0x10,
+  ICC: 0x20
+};
+
+/**
+ * Number of bytes needed to recognise a WebP file (`RIFF` + size + `WEBP`).
+ * @constant {number}
+ */
+const HEADER_SIZE = 12;
+
+/**
+ * A chunk of a RIFF container.
+ * @typedef {Object} RiffChunk
+ * @property {string} fourCC - Chunk identifier, e.g. `VP8X`, `ANIM`, `ANMF`
+ * @property {number} offset - Offset of the chunk payload in the buffer
+ * @property {number} size - Payload size in bytes (without padding)
+ * @property {Buffer} data - Payload bytes
+ */
+
+/**
+ * Container-level information about a WebP image.
+ * @typedef {Object} WebPInfo
+ * @property {number} width - Canvas width in pixels
+ * @property {number} height - Canvas height in pixels
+ * @property {boolean} isAnimated - Whether the file is an animation (VP8X flag and ANIM chunk)
+ * @property {boolean} hasAlpha - Whether the image declares an alpha channel
+ * @property {boolean} hasICC - Whether an ICC profile chunk is present
+ * @property {boolean} hasEXIF - Whether an EXIF chunk is present
+ * @property {boolean} hasXMP - Whether an XMP chunk is present
+ * @property {RiffChunk[]} chunks - Top-level chunks in file order
+ */
+
+/**
+ * Per-frame information of a WebP image.
+ * @typedef {Object} FrameInfo
+ * @property {number} index - Zero-based frame index
+ * @property {number} x - Horizontal offset of the frame on the canvas
+ * @property {number} y - Vertical offset of the frame on the canvas
+ * @property {number} width - Frame width in pixels
+ * @property {number} height - Frame height in pixels
+ * @property {number} delay - Frame duration in milliseconds (0 for static images)
+ * @property {('alpha'|'none')} blend - `alpha` blends over the previous canvas, `none` overwrites it
+ * @property {('none'|'background')} dispose - `background` clears the frame area to the background
+ *   color after display, `none` leaves it as is
+ * @property {('lossy'|'lossless')} compression - `lossy` for VP8 data, `lossless` for VP8L data
+ * @property {boolean} hasAlpha - Whether the frame carries alpha data
+ */
+
+/**
+ * Structured metadata of a WebP image.
+ * @typedef {Object} ProbeResult
+ * @property {number} width - Canvas width in pixels
+ * @property {number} height - Canvas height in pixels
+ * @property {boolean} animated - Whether the image is an animation
+ * @property {number} frameCount - Number of frames (1 for static images)
+ * @property {number} loopCount - Animation loop count, 0 meaning infinite (0 for static images)
+ * @property {?number[]} backgroundColor - Animation background color as `[r, g, b, a]`,
+ *   `null` for static images
+ * @property {number} duration - Total animation duration in milliseconds (0 for static images)
+ * @property {boolean} hasAlpha - Whether the image declares an alpha channel
+ * @property {boolean} hasICC - Whether an ICC profile chunk is present
+ * @property {boolean} hasEXIF - Whether an EXIF chunk is present
+ * @property {boolean} hasXMP - Whether an XMP chunk is present
+ * @property {FrameInfo[]} frames - Per-frame information
+ */
+
+/**
+ * Checks whether data starts with a `RIFF....WEBP` header.
+ * @function
+ * @param {(Buffer|Uint8Array)} data - File contents, or at least its first {@link HEADER_SIZE} bytes
+ * @returns {boolean} True when the data looks like a WebP file
+ */
+const isWebP = (data) => {
+  if (!data || data.length < HEADER_SIZE) return false;
+  const buffer = Buffer.from(data.buffer, data.byteOffset, HEADER_SIZE);
+  return buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP';
+};
+
+/**
+ * Splits a RIFF payload region into chunks.
+ * @function
+ * @param {Buffer} buffer - Buffer holding the chunks
+ * @param {number} [start=0] - Offset of the first chunk header
+ * @param {number} [end=buffer.length] - Offset where the chunk list ends
+ * @returns {RiffChunk[]} Parsed chunks
+ * @throws {Error} When a chunk header or payload runs past the end of the data
+ */
+const readChunks = (buffer, start = 0, end = buffer.length) => {
+  const chunks = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    const fourCC = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const payload = offset + 8;
+    if (payload + size > end) {
+      throw new Error(`Truncated WebP data (${fourCC} chunk at offset ${offset})`);
+    }
+    chunks.push({ fourCC, offset: payload, size, data: buffer.subarray(payload, payload + size) });
+    offset = payload + size + (size & 1);
+  }
+  return chunks;
+};
+
+/**
+ * Reads the dimensions and alpha flag of a `VP8 ` or `VP8L` bitstream chunk.
+ * @function
+ * @param {RiffChunk} chunk - Bitstream chunk
+ * @returns {{width: number, height: number, hasAlpha: boolean}} Bitstream properties
+ * @throws {Error} When the bitstream header is malformed
+ */
+const readBitstreamInfo = (chunk) => {
+  const { fourCC, data } = chunk;
+  if (fourCC === 'VP8 ') {
+    if (data.length < 10 || data[3] !== 0x9d || data[4] !== 0x01 || data[5] !== 0x2a) {
+      throw new Error('Invalid VP8 bitstream header');
+    }
+    return {
+      width: data.readUInt16LE(6) & 0x3fff,
+      height: data.readUInt16LE(8) & 0x3fff,
+      hasAlpha: false
+    };
+  }
+  if (fourCC === 'VP8L') {
+    if (data.length < 5 || data[0] !== 0x2f) {
+      throw new Error('Invalid VP8L bitstream header');
+    }
+    const bits = data.readUInt32LE(1);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >>> 14) & 0x3fff) + 1,
+      hasAlpha: Boolean((bits >>> 28) & 1)
+    };
+  }
+  throw new Error(`Unexpected bitstream chunk (${fourCC})`);
+};
+
+/**
+ * Describes the image stored in a list of chunks (a still image, or the payload of an ANMF chunk).
+ * @function
+ * @private
+ * @param {RiffChunk[]} chunks - Chunks holding an optional `ALPH` chunk and a `VP8 `/`VP8L` chunk
+ * @returns {{width: number, height: number, compression: string, hasAlpha: boolean}} Image properties
+ * @throws {Error} When no bitstream chunk is present
+ */
+const describeImage = (chunks) => {
+  const bitstream = chunks.find(chunk => chunk.fourCC === 'VP8 ' || chunk.fourCC === 'VP8L');
+  if (!bitstream) throw new Error('WebP image contains no VP8/VP8L data');
+  const { width, height, hasAlpha } = readBitstreamInfo(bitstream);
+  return {
+    width,
+    height,
+    compression: bitstream.fourCC === 'VP8L' ? 'lossless' : 'lossy',
+    hasAlpha: hasAlpha || chunks.some(chunk => chunk.fourCC === 'ALPH')
+  };
+};
+
+/**
+ * Parses an ANMF (animation frame) chunk.
+ * @function
+ * @param {RiffChunk} chunk - ANMF chunk
+ * @param {number} [index=0] - Index of the frame in the animation
+ * @returns {FrameInfo} Frame information
+ * @throws {Error} When the chunk is malformed
+ */
+const readFrame = (chunk, index = 0) => {
+  const { data } = chunk;
+  if (data.length < 16) throw new Error('Invalid ANMF chunk');
+  const flags = data[15];
+  const { compression, hasAlpha } = describeImage(readChunks(data, 16));
+  return {
+    index,
+    x: data.readUIntLE(0, 3) * 2,
+    y: data.readUIntLE(3, 3) * 2,
+    width: data.readUIntLE(6, 3) + 1,
+    height: data.readUIntLE(9, 3) + 1,
+    delay: data.readUIntLE(12, 3),
+    blend: flags & 0x02 ? 'none' : 'alpha',
+    dispose: flags & 0x01 ? 'background' : 'none',
+    compression,
+    hasAlpha
+  };
+};
+
+/**
+ * Parses the RIFF container of a WebP file.
+ * @function
+ * @param {(Buffer|Uint8Array)} data - Complete WebP file contents
+ * @returns {WebPInfo} Container information
+ * @throws {Error} When the data is not a WebP file or its container is malformed
+ */
+const parseWebP = (data) => {
+  if (!isWebP(data)) {
+    throw new Error('Input is not a WebP file (missing RIFF/WEBP header)');
+  }
+  const buffer = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  const riffEnd = Math.min(buffer.length, 8 + buffer.readUInt32LE(4));
+  const chunks = readChunks(buffer, HEADER_SIZE, riffEnd);
+  if (chunks.length === 0) {
+    throw new Error('WebP file contains no chunks');
+  }
+
+  const first = chunks[0];
+  const has = (fourCC) => chunks.some(chunk => chunk.fourCC === fourCC);
+
+  if (first.fourCC === 'VP8X') {
+    if (first.size < 10) throw new Error('Invalid VP8X chunk');
+    const flags = first.data[0];
+    return {
+      width: first.data.readUIntLE(4, 3) + 1,
+      height: first.data.readUIntLE(7, 3) + 1,
+      isAnimated: Boolean(flags & VP8X_FLAGS.ANIMATION) && has('ANIM'),
+      hasAlpha: Boolean(flags & VP8X_FLAGS.ALPHA) || has('ALPH'),
+      hasICC: has('ICCP'),
+      hasEXIF: has('EXIF'),
+      hasXMP: has('XMP '),
+      chunks
+    };
+  }
+
+  const { width, height, hasAlpha } = readBitstreamInfo(first);
+  return {
+    width,
+    height,
+    isAnimated: false,
+    hasAlpha,
+    hasICC: false,
+    hasEXIF: false,
+    hasXMP: false,
+    chunks
+  };
+};
+
+/**
+ * Collects structured metadata of a WebP file, including per-frame animation data.
+ * @function
+ * @param {(Buffer|Uint8Array)} data - Complete WebP file contents
+ * @returns {ProbeResult} Image metadata
+ * @throws {Error} When the data is not a WebP file or its container is malformed
+ */
+const probeWebP = (data) => {
+  const info = parseWebP(data);
+  const { chunks } = info;
+  const metadata = {
+    width: info.width,
+    height: info.height,
+    animated: info.isAnimated,
+    frameCount: 1,
+    loopCount: 0,
+    backgroundColor: null,
+    duration: 0,
+    hasAlpha: info.hasAlpha,
+    hasICC: info.hasICC,
+    hasEXIF: info.hasEXIF,
+    hasXMP: info.hasXMP,
+    frames: []
+  };
+
+  if (!info.isAnimated) {
+    const image = describeImage(chunks);
+    metadata.frames.push({
+      index: 0,
+      x: 0,
+      y: 0,
+      width: image.width,
+      height: image.height,
+      delay: 0,
+      blend: 'none',
+      dispose: 'none',
+      compression: image.compression,
+      hasAlpha: image.hasAlpha
+    });
+    return metadata;
+  }
+
+  const anim = chunks.find(chunk => chunk.fourCC === 'ANIM');
+  if (anim.size < 6) throw new Error('Invalid ANIM chunk');
+  const [blue, green, red, alpha] = anim.data;
+  metadata.backgroundColor = [red, green, blue, alpha];
+  metadata.loopCount = anim.data.readUInt16LE(4);
+  metadata.frames = chunks
+    .filter(chunk => chunk.fourCC === 'ANMF')
+    .map((chunk, index) => readFrame(chunk, index));
+  metadata.frameCount = metadata.frames.length;
+  metadata.duration = metadata.frames.reduce((total, frame) => total + frame.delay, 0);
+  return metadata;
+};
+
+module.exports = {
+  HEADER_SIZE,
+  VP8X_FLAGS,
+  isWebP,
+  readChunks,
+  readBitstreamInfo,
+  readFrame,
+  parseWebP,
+  probeWebP
+};
@@ -0,0 +1,293 @@
+/**
+ * @file settings.js
+ * @description Validation of conversion settings ({@link ConverterOptions})
+ * @author caed0
+ */
+
+const path = require('path');
+const { QUANTIZERS, DITHERS } = require('./quantize.js');
+const { ALPHA_MODES, PALETTE_MODES } = require('./gif.js');
+
+/**
+ * Supported output formats. Formats other than `gif`, `png`, `apng` and `jpeg` are written by dwebp.
+ * @constant {string[]}
+ */
+const OUTPUT_FORMATS = ['gif', 'png', 'apng', 'jpeg', 'bmp', 'tiff', 'ppm', 'pam', 'pgm', 'yuv'];
+
+/**
+ * Output format by file extension, for extensions that differ from the format name.
+ * @constant {Object<string, string>}
+ * @private
+ */
+const EXTENSION_ALIASES = {
+  '.tif': 'tiff',
+  '.jpg': 'jpeg'
+};
+
+/**
+ * dwebp flags that can be switched on through the `dwebp` setting, by option name.
+ * @constant {Object<string, string>}
+ */
+const DWEBP_FLAGS = {
+  noFancy: '-nofancy',
+  noFilter: '-nofilter',
+  alphaDither: '-alpha_dither',
+  mt: '-mt',
+  noDither: '-nodither'
+};
+
+/**
+ * Settings applied while decoding a static image, which only some backends support.
+ * @constant {string[]}
+ * @private
+ */
+const DECODE_SETTINGS = ['crop', 'resize', 'scale', 'flip', 'dwebp'];
+
+/**
+ * Checks whether a value is a plain object.
+ * @function
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Checks whether a value is an integer at least `min`.
+ * @function
+ * @private
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest allowed value
+ * @returns {boolean} True when the value is an integer >= min
+ */
+const isInteger = (value, min) => Number.isInteger(value) && value >= min;
+
+/**
+ * Checks whether a value is a color written as `0xRRGGBB`.
+ * @function
+ * @private
+ * @param {*} value - Value to check
+ * @returns {boolean} True for `0xRRGGBB` strings
+ */
+const isColor = (value) => typeof value === 'string' && /^0x[0-9a-f]{6}$/i.test(value);
+
+/**
+ * Validates the crop rectangle, resize/scale and flip settings.
+ * @function
+ * @private
+ * @param {ConverterOptions} settings - Settings to validate
+ * @throws {Error} When a setting is malformed
+ */
+const validateGeometry = (settings) => {
+  const { crop, resize, scale, flip } = settings;
+  if (crop !== undefined) {
+    if (!isObject(crop) || !isInteger(crop.x, 0) || !isInteger(crop.y, 0) ||
+      !isInteger(crop.width, 1) || !isInteger(crop.height, 1)) {
+      throw new Error(`Crop must be { x, y, width, height } with non-negative integer offsets and positive integer sizes (${JSON.stringify(crop)})`);
+    }
+  }
+  if (resize !== undefined) {
+    if (!isObject(resize) || !isInteger(resize.width || 0, 0) || !isInteger(resize.height || 0, 0) ||
+      !(resize.width || resize.height)) {
+      throw new Error(`Resize must be { width, height } with non-negative integers, at least one of them non-zero (${JSON.stringify(resize)})`);
+    }
+  }
+  if (scale !== undefined && !(typeof scale === 'number' && scale > 0 && Number.isFinite(scale))) {
+    throw new Error(`Scale must be a positive number (${scale})`);
+  }
+  if (resize !== undefined && scale !== undefined) {
+    throw new Error("Use either 'resize' or 'scale', not both");
+  }
+  if (flip !== undefined && typeof flip !== 'boolean') {
+    throw new Error(`Flip must be a boolean (${flip})`);
+  }
+};
+
+/**
+ * Validates the `dwebp` decoder options.
+ * @function
+ * @private
+ * @param {Object} dwebp - dwebp options
+ * @throws {Error} When an option is unknown or malformed
+ */
+const validateDwebp = (dwebp) => {
+  if (!isObject(dwebp)) {
+    throw new Error(`dwebp options must be an object (${dwebp})`);
+  }
+  for (const [key, value] of Object.entries(dwebp)) {
+    if (key === 'dither') {
+      if (!isInteger(value, 0) || value > 100) {
+        throw new Error(`dwebp dither strength must be an integer from 0 to 100 (${value})`);
+      }
+    } else if (!(key in DWEBP_FLAGS)) {
+      throw new Error(`Unknown dwebp option (${key}), expected dither or one of ${Object.keys(DWEBP_FLAGS).join(', ')}`);
+    } else if (typeof value !== 'boolean') {
+      throw new Error(`dwebp option ${key} must be a boolean (${value})`);
+    }
+  }
+  if (dwebp.noDither && dwebp.dither !== undefined) {
+    throw new Error("dwebp options 'dither' and 'noDither' cannot be combined");
+  }
+};
+
+/**
+ * Validates the `frame` selector: `'first'`, a frame index or `{ timeMs }`.
+ * @function
+ * @private
+ * @param {(string|number|Object)} frame - Frame selector
+ * @throws {Error} When the selector is malformed
+ */
+const validateFrame = (frame) => {
+  if (frame === 'first' || isInteger(frame, 0)) return;
+  if (isObject(frame) && Object.keys(frame).length === 1 &&
+    typeof frame.timeMs === 'number' && frame.timeMs >= 0 && Number.isFinite(frame.timeMs)) return;
+  throw new Error(`Frame must be 'first', a non-negative integer index or { timeMs } with a non-negative time (${JSON.stringify(frame)})`);
+};
+
+/**
+ * Validates the GIF `quality`, `quantizer`, `dither`, `ditherStrength` and `palette` settings.
+ * @function
+ * @private
+ * @param {ConverterOptions} settings - Settings to validate
+ * @throws {Error} When a setting is malformed
+ */
+const validateQuantizer = (settings) => {
+  const { quality, quantizer, dither, ditherStrength, palette } = settings;
+  if (quality !== undefined && !(typeof quality === 'number' && quality >= 0 && quality <= 100)) {
+    throw new Error(`Quality must be a number from 0 to 100 (${quality})`);
+  }
+  if (quantizer !== undefined && !QUANTIZERS.includes(quantizer)) {
+    throw new Error(`Quantizer must be one of ${QUANTIZERS.join(', ')} (${quantizer})`);
+  }
+  if (dither !== undefined && !DITHERS.includes(dither)) {
+    throw new Error(`Dither must be one of ${DITHERS.join(', ')} (${dither})`);
+  }
+  if (ditherStrength !== undefined && !(typeof ditherStrength === 'number' && ditherStrength >= 0 && ditherStrength <= 1)) {
+    throw new Error(`Dither strength must be a number from 0 to 1 (${ditherStrength})`);
+  }
+  if (palette !== undefined && !PALETTE_MODES.includes(palette)) {
+    throw new Error(`Palette must be one of ${PALETTE_MODES.join(', ')} (${palette})`);
+  }
+};
+
+/**
+ * Validates the GIF `alphaMode`, `alphaThreshold`, `matte` and `transparent` settings.
+ * @function
+ * @private
+ * @param {ConverterOptions} settings - Settings to validate
+ * @throws {Error} When a setting is malformed
+ */
+const validateAlpha = (settings) => {
+  const { alphaMode, alphaThreshold, matte, transparent } = settings;
+  if (alphaMode !== undefined && !ALPHA_MODES.includes(alphaMode)) {
+    throw new Error(`Alpha mode must be one of ${ALPHA_MODES.join(', ')} (${alphaMode})`);
+  }
+  if (alphaThreshold !== undefined && !(isInteger(alphaThreshold, 1) && alphaThreshold <= 255)) {
+    throw new Error(`Alpha threshold must be an integer from 1 to 255 (${alphaThreshold})`);
+  }
+  if (matte !== undefined && !isColor(matte)) {
+    throw new Error(`Matte must be a color as 0xRRGGBB (${matte})`);
+  }
+  if (transparent !== undefined && transparent !== 'auto' && !(isInteger(transparent, 0) && transparent <= 0xffffff)) {
+    if (typeof transparent !== 'string' || !/^0x[0-9a-f]{6}([0-9a-f]{2})?$/i.test(transparent)) {
+      throw new Error(`Transparent must be 'auto', a color as 0xRRGGBB or 0xRRGGBBAA, or an integer from 0 to 0xFFFFFF (${transparent})`);
+    }
+    const alpha = transparent.slice(8).toLowerCase();
+    if (alpha && alpha !== '00' && alpha !== 'ff') {
+      throw new Error(`Transparent color alpha must be 00 (key color) or ff (opaque fill), GIF has no partial transparency (${transparent})`);
+    }
+  }
+};
+
+/**
+ * Validates the JPEG `background` color and the `jpeg` encoder settings.
+ * @function
+ * @private
+ * @param {ConverterOptions} settings - Settings to validate
+ * @throws {Error} When a setting is unknown or malformed
+ */
+const validateJpeg = (settings) => {
+  const { background, jpeg } = settings;
+  if (background !== undefined && !isColor(background)) {
+    throw new Error(`Background must be a color as 0xRRGGBB (${background})`);
+  }
+  if (jpeg === undefined) return;
+  if (!isObject(jpeg)) {
+    throw new Error(`jpeg options must be an object (${jpeg})`);
+  }
+  for (const [key, value] of Object.entries(jpeg)) {
+    if (key === 'quality') {
+      if (!isInteger(value, 1) || value > 100) {
+        throw new Error(`jpeg quality must be an integer from 1 to 100 (${value})`);
+      }
+    } else if (key !== 'progressive' && key !== 'chromaSubsampling') {
+      throw new Error(`Unknown jpeg option (${key}), expected quality, progressive or chromaSubsampling`);
+    } else if (typeof value !== 'boolean') {
+      throw new Error(`jpeg option ${key} must be a boolean (${value})`);
+    }
+  }
+};
+
+/**
+ * Detects the output format from a file extension (case-insensitive).
+ * @function
+ * @param {string} file - Output path
+ * @returns {?string} Output format, or `null` when the extension is not a supported format
+ */
+const formatFromPath = (file) => {
+  const extension = path.extname(file).toLowerCase();
+  const format = EXTENSION_ALIASES[extension] || extension.slice(1);
+  return OUTPUT_FORMATS.includes(format) ? format : null;
+};
+
+/**
+ * Validates an output format name.
+ * @function
+ * @param {string} format - Output format
+ * @throws {Error} When the format is not supported
+ */
+const validateFormat = (format) => {
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Output format must be one of ${OUTPUT_FORMATS.join(', ')} (${format})`);
+  }
+};
+
+/**
+ * Validates conversion settings.
+ * @function
+ * @param {ConverterOptions} settings - Settings to validate
+ * @throws {Error} When a setting is malformed
+ */
+const validateSettings = (settings) => {
+  if (!isObject(settings)) {
+    throw new Error(`Settings must be an object (${settings})`);
+  }
+  if (settings.format !== undefined) validateFormat(settings.format);
+  validateGeometry(settings);
+  if (settings.frame !== undefined) validateFrame(settings.frame);
+  validateQuantizer(settings);
+  validateAlpha(settings);
+  validateJpeg(settings);
+  if (settings.dwebp !== undefined) validateDwebp(settings.dwebp);
+};
+
+/**
+ * Checks whether settings ask for decode-time processing (crop, resize, scale, flip or dwebp options).
+ * @function
+ * @param {ConverterOptions} settings - Fully merged settings
+ * @returns {boolean} True when any decode setting is in effect
+ */
+const hasDecodeSettings = (settings) => DECODE_SETTINGS.some((key) => {
+  const value = settings[key];
+  if (key === 'dwebp') return isObject(value) && Object.values(value).some(option => option !== false);
+  return value !== undefined && value !== false;
+});
+
+module.exports = {
+  OUTPUT_FORMATS,
+  DWEBP_FLAGS,
+  formatFromPath,
+  validateFormat,
+  validateSettings,
+  hasDecodeSettings
+};
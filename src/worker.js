@@ -0,0 +1,51 @@
+/**
+ * @file worker.js
+ * @description Worker thread entry point running CPU-heavy conversion tasks for {@link WorkerPool}
+ * @author caed0
+ */
+
+const { parentPort } = require('worker_threads');
+const { encodeGif } = require('./gif.js');
+const { encodeApng } = require('./apng.js');
+const { decodeAnimation } = require('./backends/wasm.js');
+const { transferable } = require('./WorkerPool.js');
+
+/**
+ * Task handlers by name.
+ * @constant {Object<string, Function>}
+ * @private
+ */
+const TASKS = {
+  gif: encodeGif,
+  apng: async (task, signal, onFrame) => ({ data: await encodeApng(task, signal, onFrame) }),
+  'wasm:decode': ({ data }) => decodeAnimation(data)
+};
+
+/**
+ * Makes the binary parts of a task result (`data` and `frames[].data`) transferable and lists
+ * their buffers, so results are moved back to the main thread rather than copied.
+ * @function
+ * @private
+ * @param {Object} result - Task result, modified in place
+ * @returns {ArrayBuffer[]} Transfer list
+ */
+const prepareTransfer = (result) => {
+  const views = [];
+  if (result.data) views.push(result.data = transferable(result.data));
+  for (const frame of result.frames || []) {
+    views.push(frame.data = transferable(frame.data));
+  }
+  return views.map(view => view.buffer);
+};
+
+parentPort.on('message', async ({ id, task, payload }) => {
+  try {
+    if (!TASKS[task]) throw new Error(`Unknown worker task (${task})`);
+    const onProgress = progress => parentPort.postMessage({ id, progress });
+    // Cancelled tasks get their worker terminated, so no signal is passed here.
+    const result = await TASKS[task](payload, undefined, onProgress);
+    parentPort.postMessage({ id, result }, prepareTransfer(result));
+  } catch (error) {
+    parentPort.postMessage({ id, error: { message: error.message, stack: error.stack } });
+  }
+});
@@ -0,0 +1,109 @@
+/**
+ * @file WorkerPool.test.js
+ * @description Tests for the worker thread pool
+ * @author caed0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { WorkerPool, transferable } = require('../src/WorkerPool.js');
+const Converter = require('../src/Converter.js');
+
+const script = path.join(__dirname, 'fixtures', 'worker.js');
+const images = path.join(__dirname, '..', 'examples', 'images');
+
+test('runs tasks and forwards their progress', async (t) => {
+  const pool = new WorkerPool(2, script);
+  t.after(() => pool.destroy());
+  const progress = [];
+  const result = await pool.run('echo', { value: 42 }, [], undefined, message => progress.push(message));
+  assert.strictEqual(result.value, 42);
+  assert.deepStrictEqual(progress, [{ step: 1 }]);
+});
+
+test('rejects with the error reported by a task', async (t) => {
+  const pool = new WorkerPool(1, script);
+  t.after(() => pool.destroy());
+  await assert.rejects(pool.run('fail', { message: 'task failed' }), /task failed/);
+  assert.strictEqual((await pool.run('echo', { value: 1 })).value, 1);
+});
+
+test('moves transferred buffers to the worker and back', async (t) => {
+  const pool = new WorkerPool(1, script);
+  t.after(() => pool.destroy());
+  const data = new Uint8Array([1, 2, 3, 4]);
+  const result = await pool.run('echo', { data }, [data.buffer]);
+  assert.strictEqual(data.byteLength, 0, 'the input buffer is detached');
+  assert.deepStrictEqual([...result.data], [1, 2, 3, 4]);
+});
+
+test('copies views that do not own their buffer before transferring them', () => {
+  const owned = new Uint8Array(8);
+  assert.strictEqual(transferable(owned), owned);
+
+  const pooled = Buffer.from('abc');
+  const copy = transferable(pooled);
+  assert.notStrictEqual(copy.buffer, pooled.buffer);
+  assert.strictEqual(copy.byteLength, copy.buffer.byteLength);
+  assert.deepStrictEqual(Buffer.from(copy), pooled);
+
+  const shared = new Uint8Array(new SharedArrayBuffer(4));
+  assert.notStrictEqual(transferable(shared), shared);
+});
+
+test('rejects the task of a crashed worker and replaces the worker', async (t) => {
+  const pool = new WorkerPool(1, script);
+  t.after(() => pool.destroy());
+  const first = await pool.run('echo', {});
+  await assert.rejects(pool.run('exit', { code: 3 }), /Worker stopped with exit code 3/);
+  const next = await pool.run('echo', {});
+  assert.notStrictEqual(next.threadId, first.threadId);
+});
+
+test('queues tasks beyond the pool size', async (t) => {
+  const pool = new WorkerPool(2, script);
+  t.after(() => pool.destroy());
+  const results = await Promise.all(Array.from({ length: 5 }, (_, value) => pool.run('echo', { value })));
+  assert.deepStrictEqual(results.map(result => result.value), [0, 1, 2, 3, 4]);
+  assert.ok(new Set(results.map(result => result.threadId)).size <= 2);
+});
+
+test('terminates the worker of an aborted task', async (t) => {
+  const pool = new WorkerPool(1, script);
+  t.after(() => pool.destroy());
+  const controller = new AbortController();
+  const hanging = pool.run('hang', {}, [], controller.signal);
+  const queued = pool.run('echo', { value: 'queued' });
+  controller.abort();
+  await assert.rejects(hanging, { name: 'AbortError' });
+  assert.strictEqual((await queued).value, 'queued');
+
+  const aborted = new AbortController();
+  aborted.abort();
+  await assert.rejects(pool.run('echo', {}, [], aborted.signal), { name: 'AbortError' });
+});
+
+test('rejects running and queued tasks when destroyed', async () => {
+  const pool = new WorkerPool(1, script);
+  const running = pool.run('hang', {});
+  const queued = pool.run('echo', {});
+  await Promise.all([
+    assert.rejects(running, /Worker pool was destroyed/),
+    assert.rejects(queued, /Worker pool was destroyed/),
+    pool.destroy()
+  ]);
+});
+
+test('encodes the same GIF on worker threads as on the main thread', async (t) => {
+  const job = { input: path.join(images, 'animated.webp'), output: { type: 'buffer', format: 'gif' } };
+  const pooled = new Converter({ backend: 'wasm', workers: 2 });
+  t.after(() => pooled.close());
+  const [onWorkers, onMainThread] = [
+    await pooled.convertJobs(job),
+    await new Converter({ backend: 'wasm' }).convertJobs(job)
+  ];
+  assert.deepStrictEqual(onWorkers, onMainThread);
+  assert.deepStrictEqual(await pooled.convertJobs({ ...job, input: fs.readFileSync(job.input) }), onMainThread);
+});
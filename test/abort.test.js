@@ -0,0 +1,165 @@
+/**
+ * @file abort.test.js
+ * @description Tests for cancelling conversions through signals and timeouts
+ * @author caed0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createAbortScope } = require('../src/abort.js');
+const Converter = require('../src/Converter.js');
+
+const images = path.join(__dirname, '..', 'examples', 'images');
+const animated = path.join(images, 'animated.webp');
+const staticWebP = fs.readFileSync(path.join(images, 'static.webp'));
+
+/**
+ * Waits until a signal aborts, then rejects with its reason.
+ * @param {AbortSignal} signal - Signal to wait for
+ * @returns {Promise<never>} Rejects once the signal aborts
+ */
+const waitForAbort = (signal) => new Promise((resolve, reject) => {
+  if (signal.aborted) reject(signal.reason);
+  signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
+// Decodes nothing and writes the first bytes of its output, then waits until it is cancelled.
+Converter.registerBackend('stalling', {
+  decodeImage: (data, { signal }) => waitForAbort(signal),
+  decodeAnimation: (data, { signal }) => waitForAbort(signal),
+  imageFormats: ['png'],
+  convertImage: async (data, { signal, target, onWriteStart }) => {
+    onWriteStart();
+    await fs.promises.writeFile(target, 'partial');
+    return await waitForAbort(signal);
+  }
+});
+
+/**
+ * Creates a pipeline destination that drops converted data.
+ * @returns {Writable} Stream accepting and discarding data
+ */
+const discard = () => new Writable({ write: (chunk, encoding, callback) => callback() });
+
+/**
+ * Creates a temporary folder removed after the test.
+ * @param {TestContext} t - Test context
+ * @returns {string} Folder path
+ */
+const tempDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webp-conv-abort-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+test('rejects jobs whose signal is already aborted', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  let started = 0;
+  converter.on('frames:extracted', () => started++);
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(converter.convertJobs({ input: animated, output: { type: 'buffer' }, signal: controller.signal }),
+    { name: 'AbortError', code: 'ABORT_ERR' });
+  assert.strictEqual(started, 0);
+});
+
+test('interrupts GIF encoding between frames', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const controller = new AbortController();
+  const encoded = [];
+  converter.on('frame:encoded', ({ frame }) => {
+    encoded.push(frame);
+    controller.abort(new Error('stop'));
+  });
+  const error = await converter.convertJobs({ input: animated, output: { type: 'buffer' } }, { signal: controller.signal })
+    .then(() => assert.fail('expected an AbortError'), error => error);
+  assert.strictEqual(error.name, 'AbortError');
+  assert.strictEqual(error.cause.message, 'stop');
+  assert.deepStrictEqual(encoded, [0]);
+});
+
+test('leaves an existing output file alone when aborted before writing', async (t) => {
+  const output = path.join(tempDir(t), 'out.gif');
+  fs.writeFileSync(output, 'previous');
+  const converter = new Converter({ backend: 'wasm' });
+  const controller = new AbortController();
+  converter.on('frame:encoded', () => controller.abort());
+  await assert.rejects(converter.convertJobs({ input: animated, output, signal: controller.signal }), { name: 'AbortError' });
+  assert.strictEqual(fs.readFileSync(output, 'utf8'), 'previous');
+});
+
+test('deletes partial output when a job times out while writing', async (t) => {
+  const output = path.join(tempDir(t), 'out.png');
+  const converter = new Converter({ backend: 'stalling' });
+  await assert.rejects(converter.convertJobs({ input: staticWebP, output, timeoutMs: 50 }), {
+    name: 'AbortError',
+    message: 'Job timed out after 50 ms'
+  });
+  assert.strictEqual(fs.existsSync(output), false);
+});
+
+test('times out whole batches', async () => {
+  const converter = new Converter({ backend: 'stalling' });
+  const jobs = [0, 1].map(() => ({ input: staticWebP, output: { type: 'buffer', format: 'jpeg' } }));
+  const results = await converter.convertJobs(jobs, { timeoutMs: 50, failFast: false });
+  for (const { status, reason } of results) {
+    assert.strictEqual(status, 'rejected');
+    assert.strictEqual(reason.message, 'Batch timed out after 50 ms');
+  }
+});
+
+test('aborts the other jobs of a batch when one fails', async () => {
+  const converter = new Converter({ backend: 'stalling' });
+  const failing = { input: staticWebP.subarray(0, 40), output: { type: 'buffer', format: 'jpeg' } };
+  const stalled = { input: staticWebP, output: { type: 'buffer', format: 'jpeg' } };
+  const errors = [];
+  converter.on('job:error', ({ index, error }) => errors[index] = error);
+  await assert.rejects(converter.convertJobs([stalled, failing], { concurrency: 2 }), /Truncated WebP data|Invalid/);
+  assert.strictEqual(errors[0].name, 'AbortError');
+  assert.strictEqual(errors[0].message, 'Batch aborted after another job failed');
+  assert.strictEqual(errors[0].cause, errors[1]);
+});
+
+test('cancels stream conversions through their signal', async () => {
+  const converter = new Converter({ backend: 'stalling' });
+  const controller = new AbortController();
+  const stream = converter.createConvertStream({ format: 'jpeg', signal: controller.signal });
+  setTimeout(() => controller.abort(), 20);
+  await assert.rejects(pipeline(Readable.from([staticWebP]), stream, discard()), { name: 'AbortError' });
+});
+
+test('times out stream conversions', async () => {
+  const converter = new Converter({ backend: 'stalling' });
+  const stream = converter.createConvertStream({ format: 'jpeg', timeoutMs: 20 });
+  await assert.rejects(pipeline(Readable.from([staticWebP]), stream, discard()), {
+    name: 'AbortError',
+    message: 'Conversion timed out after 20 ms'
+  });
+});
+
+test('rejects signals that are not AbortSignals', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const job = { input: staticWebP, output: { type: 'buffer' } };
+  const signal = { aborted: false };
+  await assert.rejects(converter.convertJobs({ ...job, signal }), /Job 'signal' must be an AbortSignal/);
+  await assert.rejects(converter.convertJobs(job, { signal }), /Batch 'signal' must be an AbortSignal/);
+  assert.throws(() => converter.createConvertStream({ signal }), /Stream 'signal' must be an AbortSignal/);
+});
+
+test('rejects invalid timeouts before listening to any signal', async () => {
+  const { signal } = new AbortController();
+  let listeners = 0;
+  signal.addEventListener = () => listeners++;
+  assert.throws(() => createAbortScope([signal], -1), /timeoutMs must be a non-negative number/);
+  assert.strictEqual(listeners, 0);
+
+  const converter = new Converter({ backend: 'wasm' });
+  const job = { input: staticWebP, output: { type: 'buffer' } };
+  await assert.rejects(converter.convertJobs({ ...job, timeoutMs: 'soon' }), /timeoutMs must be a non-negative number/);
+  await assert.rejects(converter.convertJobs(job, { timeoutMs: NaN }), /timeoutMs must be a non-negative number/);
+});
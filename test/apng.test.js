@@ -0,0 +1,122 @@
+/**
+ * @file apng.test.js
+ * @description Tests for the chunk structure and pixel data of APNG output
+ * @author caed0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const zlib = require('zlib');
+const { encodeApng } = require('../src/apng.js');
+const Converter = require('../src/Converter.js');
+
+const images = path.join(__dirname, '..', 'examples', 'images');
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Splits PNG data into chunks, checking the signature and every CRC.
+ * @param {Buffer} png - PNG data
+ * @returns {Array<{type: string, data: Buffer}>} Chunks in file order
+ */
+const readChunks = (png) => {
+  assert.deepStrictEqual(png.subarray(0, 8), SIGNATURE);
+  const chunks = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('latin1', offset + 4, offset + 8);
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    assert.strictEqual(png.readUInt32BE(offset + 8 + length), zlib.crc32(png.subarray(offset + 4, offset + 8 + length)),
+      `CRC of ${type} chunk`);
+    chunks.push({ type, data });
+    offset += 12 + length;
+  }
+  return chunks;
+};
+
+/**
+ * Decompresses and unfilters the RGBA pixels of a frame. Only the None and Sub filters the
+ * encoder writes are supported.
+ * @param {Buffer} compressed - Concatenated IDAT or fdAT payloads, without sequence numbers
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @returns {Uint8Array} RGBA pixels
+ */
+const readPixels = (compressed, width, height) => {
+  const raw = zlib.inflateSync(compressed);
+  const stride = width * 4;
+  const pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    assert.ok(filter === 0 || filter === 1, `filter ${filter}`);
+    for (let x = 0; x < stride; x++) {
+      const left = filter === 1 && x >= 4 ? pixels[y * stride + x - 4] : 0;
+      pixels[y * stride + x] = (raw[y * (stride + 1) + 1 + x] + left) & 0xff;
+    }
+  }
+  return pixels;
+};
+
+/**
+ * Builds a frame whose pixels all differ, alpha included.
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} seed - Value mixed into every pixel, so frames differ
+ * @returns {Uint8Array} RGBA pixels
+ */
+const makeFrame = (width, height, seed) => Uint8Array.from({ length: width * height * 4 }, (_, i) => (i * 7 + seed) & 0xff);
+
+test('writes the chunks of an animated PNG in order', async () => {
+  const frames = [100, 40, 70001].map((delay, i) => ({ data: makeFrame(5, 3, i), delay }));
+  const chunks = readChunks(await encodeApng({ width: 5, height: 3, loops: 2, frames }));
+  assert.deepStrictEqual(chunks.map(({ type }) => type),
+    ['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'fcTL', 'fdAT', 'IEND']);
+
+  const ihdr = chunks[0].data;
+  assert.deepStrictEqual([ihdr.readUInt32BE(0), ihdr.readUInt32BE(4), ihdr[8], ihdr[9]], [5, 3, 8, 6]);
+  const actl = chunks[1].data;
+  assert.deepStrictEqual([actl.readUInt32BE(0), actl.readUInt32BE(4)], [3, 2]);
+
+  const sequences = chunks.filter(({ type }) => type === 'fcTL' || type === 'fdAT').map(({ data }) => data.readUInt32BE(0));
+  assert.deepStrictEqual(sequences, [0, 1, 2, 3, 4]);
+
+  const controls = chunks.filter(({ type }) => type === 'fcTL').map(({ data }) => ({
+    size: [data.readUInt32BE(4), data.readUInt32BE(8)],
+    offset: [data.readUInt32BE(12), data.readUInt32BE(16)],
+    delay: [data.readUInt16BE(20), data.readUInt16BE(22)],
+    dispose: data[24],
+    blend: data[25]
+  }));
+  assert.deepStrictEqual(controls.map(({ delay }) => delay), [[1, 10], [1, 25], [7000, 100]]);
+  for (const control of controls) {
+    assert.deepStrictEqual(control.size, [5, 3]);
+    assert.deepStrictEqual(control.offset, [0, 0]);
+    assert.strictEqual(control.dispose, 0);
+    assert.strictEqual(control.blend, 0);
+  }
+});
+
+test('stores every frame with its full 8-bit alpha', async () => {
+  const frames = [0, 1].map(seed => ({ data: makeFrame(4, 4, seed), delay: 50 }));
+  const chunks = readChunks(await encodeApng({ width: 4, height: 4, loops: 0, frames }));
+  const first = chunks.find(({ type }) => type === 'IDAT').data;
+  const second = chunks.find(({ type }) => type === 'fdAT').data.subarray(4);
+  assert.deepStrictEqual(readPixels(first, 4, 4), makeFrame(4, 4, 0));
+  assert.deepStrictEqual(readPixels(second, 4, 4), makeFrame(4, 4, 1));
+});
+
+test('converts the example animation to APNG', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const encoded = [];
+  converter.on('frame:encoded', ({ frame, total }) => encoded.push(`${frame}/${total}`));
+  const apng = await converter.convertJobs({
+    input: path.join(images, 'animated.webp'),
+    output: { type: 'buffer', format: 'apng' }
+  });
+  const chunks = readChunks(apng);
+  const actl = chunks.find(({ type }) => type === 'acTL').data;
+  assert.deepStrictEqual([actl.readUInt32BE(0), actl.readUInt32BE(4)], [4, 0]);
+  const delays = chunks.filter(({ type }) => type === 'fcTL').map(({ data }) => [data.readUInt16BE(20), data.readUInt16BE(22)]);
+  assert.deepStrictEqual(delays, [[3, 20], [3, 20], [3, 20], [3, 20]]);
+  assert.deepStrictEqual(encoded, ['0/4', '1/4', '2/4', '3/4']);
+});
@@ -0,0 +1,124 @@
+/**
+ * @file batch.test.js
+ * @description Tests for batches of jobs run by convertJobs()
+ * @author caed0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const Converter = require('../src/Converter.js');
+
+const images = path.join(__dirname, '..', 'examples', 'images');
+const staticWebP = fs.readFileSync(path.join(images, 'static.webp'));
+const output = { type: 'buffer', format: 'png' };
+
+/**
+ * Builds a batch with a valid job, a job whose input is missing and a job whose input is
+ * WebP data cut short, which only fails once its conversion runs.
+ * @returns {Job[]} Jobs
+ */
+const mixedJobs = () => [
+  { input: staticWebP, output },
+  { input: path.join(images, 'missing.webp'), output },
+  { input: staticWebP.subarray(0, 40), output }
+];
+
+test('settles every job with failFast: false', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const results = await converter.convertJobs(mixedJobs(), { failFast: false });
+  assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'rejected']);
+  assert.ok(Buffer.isBuffer(results[0].value));
+  assert.match(results[1].reason.message, /Input file does not exist/);
+  assert.match(results[2].reason.message, /Truncated WebP data|Invalid/);
+});
+
+test('settles a single job to a single result with failFast: false', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const result = await converter.convertJobs({ input: path.join(images, 'missing.webp'), output }, { failFast: false });
+  assert.strictEqual(result.status, 'rejected');
+});
+
+test('rejects with a BatchError when throwOnError is set', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const error = await converter.convertJobs(mixedJobs(), { failFast: false, throwOnError: true })
+    .then(() => assert.fail('expected a BatchError'), error => error);
+  assert.ok(error instanceof Converter.BatchError);
+  assert.ok(error instanceof AggregateError);
+  assert.strictEqual(error.name, 'BatchError');
+  assert.strictEqual(error.message, '2 of 3 job(s) failed');
+  assert.strictEqual(error.errors.length, 2);
+  assert.deepStrictEqual(error.errors, error.results.filter(result => result.status === 'rejected').map(result => result.reason));
+  assert.strictEqual(error.results[0].status, 'fulfilled');
+});
+
+test('resolves with throwOnError when every job succeeds', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const results = await converter.convertJobs([{ input: staticWebP, output }], { failFast: false, throwOnError: true });
+  assert.deepStrictEqual(results.map(result => result.status), ['fulfilled']);
+});
+
+test('validates every job before starting any with the default failFast', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  let started = 0;
+  converter.on('job:start', () => started++);
+  await assert.rejects(converter.convertJobs(mixedJobs()), /Input file does not exist/);
+  assert.strictEqual(started, 0);
+});
+
+/**
+ * Registers a backend whose decodes finish in the given order of delays, recording how many run
+ * at once. The n-th decode returns an image n + 1 pixels wide, so outputs can be told apart.
+ * @param {string} name - Backend name
+ * @param {number[]} delays - Delay of each decode in milliseconds, in the order decodes start
+ * @returns {{maxActive: number}} Live statistics of the backend
+ */
+const registerDelayedBackend = (name, delays) => {
+  const stats = { maxActive: 0 };
+  let active = 0;
+  let calls = 0;
+  Converter.registerBackend(name, {
+    decodeImage: async () => {
+      const width = ++calls;
+      stats.maxActive = Math.max(stats.maxActive, ++active);
+      await new Promise(resolve => setTimeout(resolve, delays[width - 1]));
+      active--;
+      return { width, height: 1, data: new Uint8Array(width * 4) };
+    },
+    decodeAnimation: async () => assert.fail('unexpected animated input')
+  });
+  return stats;
+};
+
+/**
+ * Reads the width of a PNG from its IHDR chunk.
+ * @param {Buffer} png - PNG data
+ * @returns {number} Width in pixels
+ */
+const pngWidth = (png) => png.readUInt32BE(16);
+
+test('keeps results in input order when later jobs finish first', async () => {
+  const stats = registerDelayedBackend('delayed', [60, 10, 30, 0, 20]);
+  const converter = new Converter({ backend: 'delayed' });
+  const results = await converter.convertJobs(Array.from({ length: 5 }, () => ({ input: staticWebP, output })), { concurrency: 3 });
+  assert.deepStrictEqual(results.map(pngWidth), [1, 2, 3, 4, 5]);
+  assert.strictEqual(stats.maxActive, 3);
+});
+
+test('runs one job at a time with concurrency: 1', async () => {
+  const stats = registerDelayedBackend('sequential', [20, 0, 10]);
+  const converter = new Converter({ backend: 'sequential' });
+  const jobs = Array.from({ length: 3 }, () => ({ input: staticWebP, output }));
+  const results = await converter.convertJobs(jobs, { concurrency: 1, failFast: false });
+  assert.deepStrictEqual(results.map(result => pngWidth(result.value)), [1, 2, 3]);
+  assert.strictEqual(stats.maxActive, 1);
+});
+
+test('rejects invalid concurrency limits', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  for (const concurrency of [0, -1, 1.5, '2']) {
+    await assert.rejects(converter.convertJobs({ input: staticWebP, output }, { concurrency }),
+      /Concurrency must be a positive integer/, String(concurrency));
+  }
+});
@@ -0,0 +1,147 @@
+/**
+ * @file convert.test.js
+ * @description Tests for conversions between output formats with the in-memory wasm backend
+ * @author caed0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { GifReader } = require('omggif');
+const Converter = require('../src/Converter.js');
+
+const images = path.join(__dirname, '..', 'examples', 'images');
+const animated = path.join(images, 'animated.webp');
+const still = path.join(images, 'static.webp');
+
+/**
+ * Error canvas fails to load with, `null` when it loads. JPEG output needs its native module.
+ * @type {?Error}
+ */
+const canvasError = (() => {
+  try {
+    require('canvas');
+    return null;
+  } catch (error) {
+    return error;
+  }
+})();
+
+test('refuses dwebp decoding settings on backends without them', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  await assert.rejects(converter.convertJobs({ input: still, output: { type: 'buffer', format: 'png' }, settings: { flip: true } }),
+    /crop, resize, scale, flip and dwebp settings are not supported by the wasm backend/);
+});
+
+test('refuses dwebp decoding settings for animated input', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const settings = { crop: { x: 0, y: 0, width: 10, height: 10 } };
+  await assert.rejects(converter.convertJobs({ input: animated, output: { type: 'buffer', format: 'gif' }, settings }),
+    /crop, resize, scale, flip and dwebp settings only apply to static images/);
+});
+
+test('ignores dwebp options that are all switched off', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const settings = { flip: false, dwebp: { mt: false } };
+  const png = await converter.convertJobs({ input: still, output: { type: 'buffer', format: 'png' }, settings });
+  assert.strictEqual(png.readUInt32BE(16), 128);
+});
+
+test('refuses the formats written by dwebp on other backends', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  for (const format of ['bmp', 'tiff', 'ppm', 'pam', 'pgm', 'yuv']) {
+    await assert.rejects(converter.convertJobs({ input: still, output: { type: 'buffer', format } }),
+      new RegExp(`${format} output is not supported by the wasm backend`));
+  }
+});
+
+test('refuses the formats written by dwebp for animated input', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  await assert.rejects(converter.convertJobs({ input: animated, output: { type: 'buffer', format: 'bmp' } }),
+    /Animated input can only be converted to gif, apng, png or jpeg \(bmp\)/);
+});
+
+/**
+ * Converts an example image to an in-memory output.
+ * @param {Converter} converter - Converter to use
+ * @param {string} input - Input path
+ * @param {string} format - Output format
+ * @param {ConverterOptions} [settings] - Job settings
+ * @returns {Promise<Buffer>} Converted data
+ */
+const convert = (converter, input, format, settings) => converter.convertJobs({ input, output: { type: 'buffer', format }, settings });
+
+test('converts static input to a single-frame GIF without a loop', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const frames = [];
+  converter.on('frame:encoded', ({ frame, total }) => frames.push(`${frame}/${total}`));
+  const reader = new GifReader(await convert(converter, still, 'gif', { transparent: 'auto' }));
+  assert.strictEqual(reader.width, 128);
+  assert.strictEqual(reader.numFrames(), 1);
+  assert.strictEqual(reader.loopCount(), null);
+  assert.deepStrictEqual(frames, ['0/1']);
+});
+
+test('writes the selected frame of animated input to PNG', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const frames = await Promise.all([0, 1, 2, 3].map(frame => convert(converter, animated, 'png', { frame })));
+  assert.strictEqual(new Set(frames.map(png => png.toString('base64'))).size, 4);
+  assert.deepStrictEqual(await convert(converter, animated, 'png'), frames[0]);
+  assert.deepStrictEqual(await convert(converter, animated, 'png', { frame: 'first' }), frames[0]);
+  // Frames last 150 ms each, so 320 ms falls in the third one.
+  assert.deepStrictEqual(await convert(converter, animated, 'png', { frame: { timeMs: 320 } }), frames[2]);
+});
+
+test('refuses frames past the end of the input', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  await assert.rejects(convert(converter, animated, 'png', { frame: 4 }),
+    /Frame index is out of range, the input has 4 frame\(s\) \(4\)/);
+  await assert.rejects(convert(converter, animated, 'png', { frame: { timeMs: 600 } }),
+    /Frame time is past the end of the animation, which lasts 600 ms \(600\)/);
+  await assert.rejects(convert(converter, still, 'png', { frame: 1 }),
+    /Frame index is out of range, the input is a static image \(1\)/);
+});
+
+/**
+ * Reads the start-of-frame segment of a JPEG.
+ * @param {Buffer} jpeg - JPEG data
+ * @returns {{marker: number, sampling: number}} SOF marker (0xc0 baseline, 0xc2 progressive) and
+ *   the sampling factors of the first component (0x22 for 4:2:0, 0x11 for 4:4:4)
+ */
+const readFrameHeader = (jpeg) => {
+  for (let offset = 2; offset < jpeg.length;) {
+    const marker = jpeg[offset + 1];
+    if (marker === 0xc0 || marker === 0xc2) return { marker, sampling: jpeg[offset + 11] };
+    offset += 2 + jpeg.readUInt16BE(offset + 2);
+  }
+  return assert.fail('no start-of-frame segment');
+};
+
+test('encodes JPEG output with the jpeg settings', { skip: canvasError && 'canvas is not available' }, async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const jpeg = await convert(converter, still, 'jpeg');
+  assert.deepStrictEqual([jpeg[0], jpeg[1], jpeg.at(-2), jpeg.at(-1)], [0xff, 0xd8, 0xff, 0xd9]);
+  assert.deepStrictEqual(readFrameHeader(jpeg), { marker: 0xc0, sampling: 0x22 });
+
+  const tuned = await convert(converter, animated, 'jpeg', { frame: 1, jpeg: { progressive: true, chromaSubsampling: false } });
+  assert.deepStrictEqual(readFrameHeader(tuned), { marker: 0xc2, sampling: 0x11 });
+  const smaller = await convert(converter, still, 'jpeg', { jpeg: { quality: 10 } });
+  assert.ok(smaller.length < jpeg.length);
+});
+
+test('flattens transparency onto the background color', { skip: canvasError && 'canvas is not available' }, async () => {
+  const { createCanvas, loadImage } = require('canvas');
+  const converter = new Converter({ backend: 'wasm' });
+  const transparent = path.join(images, 'animated-transparent.webp');
+  // The first frame only covers part of the canvas, so the top-left corner is fully transparent.
+  const image = await loadImage(await convert(converter, transparent, 'jpeg', { background: '0x0000ff' }));
+  const context = createCanvas(image.width, image.height).getContext('2d');
+  context.drawImage(image, 0, 0);
+  const [r, g, b, a] = context.getImageData(0, 0, 1, 1).data;
+  assert.ok(r < 16 && g < 16 && b > 239 && a === 255, `${[r, g, b, a]}`);
+});
+
+test('explains that JPEG output needs canvas', { skip: !canvasError && 'canvas is available' }, async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  await assert.rejects(convert(converter, still, 'jpeg'), /JPEG output needs the canvas module, which failed to load/);
+});
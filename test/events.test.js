@@ -0,0 +1,79 @@
+/**
+ * @file events.test.js
+ * @description Tests for the progress events emitted by convertJobs()
+ * @author caed0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const Converter = require('../src/Converter.js');
+
+const images = path.join(__dirname, '..', 'examples', 'images');
+const EVENTS = ['job:start', 'frames:extracted', 'frame:encoded', 'job:done', 'job:error', 'batch:progress'];
+
+/**
+ * Records every progress event a converter emits.
+ * @param {Converter} converter - Converter to listen to
+ * @returns {Array<{event: string, payload: Object}>} Events in emission order, filled in as they come
+ */
+const record = (converter) => {
+  const events = [];
+  for (const event of EVENTS) {
+    converter.on(event, payload => events.push({ event, payload }));
+  }
+  return events;
+};
+
+/**
+ * Lists the events of one job of a batch.
+ * @param {Array<{event: string, payload: Object}>} events - Recorded events
+ * @param {number} index - Position of the job in the batch
+ * @returns {string[]} Event names, with frame events as `frame:encoded <frame>/<total>`
+ */
+const eventsOf = (events, index) => events
+  .filter(({ event, payload }) => event !== 'batch:progress' && payload.index === index)
+  .map(({ event, payload }) => event === 'frame:encoded' ? `${event} ${payload.frame}/${payload.total}` : event);
+
+const animatedFrames = ['frame:encoded 0/4', 'frame:encoded 1/4', 'frame:encoded 2/4', 'frame:encoded 3/4'];
+
+for (const workers of [0, 1]) {
+  test(`reports job and frame progress${workers ? ' from worker threads' : ''}`, async (t) => {
+    const converter = new Converter({ backend: 'wasm', workers });
+    t.after(() => converter.close());
+    const events = record(converter);
+    const jobs = [
+      { input: path.join(images, 'animated.webp'), output: { type: 'buffer', format: 'gif' } },
+      { input: path.join(images, 'static.webp'), output: { type: 'buffer', format: 'png' } }
+    ];
+    const results = await converter.convertJobs(jobs, { concurrency: 1 });
+
+    assert.deepStrictEqual(eventsOf(events, 0), ['job:start', 'frames:extracted', ...animatedFrames, 'job:done']);
+    assert.deepStrictEqual(eventsOf(events, 1), ['job:start', 'job:done']);
+    const extracted = events.find(({ event }) => event === 'frames:extracted').payload;
+    assert.strictEqual(extracted.count, 4);
+    assert.strictEqual(extracted.job, jobs[0]);
+    const done = events.filter(({ event }) => event === 'job:done').map(({ payload }) => payload.result);
+    assert.deepStrictEqual(done, results);
+  });
+}
+
+test('reports batch progress and failed jobs', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const events = record(converter);
+  const jobs = [
+    { input: path.join(images, 'static.webp'), output: { type: 'buffer', format: 'png' } },
+    { input: path.join(images, 'missing.webp'), output: { type: 'buffer', format: 'png' } }
+  ];
+  await converter.convertJobs(jobs, { failFast: false, concurrency: 1 });
+
+  const progress = events.filter(({ event }) => event === 'batch:progress').map(({ payload }) => payload);
+  assert.deepStrictEqual(progress, [
+    { completed: 1, failed: 0, total: 2 },
+    { completed: 2, failed: 1, total: 2 }
+  ]);
+  const failure = events.find(({ event }) => event === 'job:error').payload;
+  assert.strictEqual(failure.index, 1);
+  assert.strictEqual(failure.job, jobs[1]);
+  assert.match(failure.error.message, /Input file does not exist/);
+});
@@ -0,0 +1,30 @@
+/**
+ * @file worker.js
+ * @description Worker entry point for WorkerPool tests, speaking the same message protocol as
+ * src/worker.js with tasks that succeed, fail, crash or never finish
+ * @author caed0
+ */
+
+const { isMainThread, parentPort, threadId } = require('worker_threads');
+
+// The test runner also loads every file under test/; there is nothing to do outside a worker.
+if (isMainThread) return;
+
+/**
+ * Task handlers by name.
+ * @constant {Object<string, Function>}
+ */
+const TASKS = {
+  echo: (payload, post) => {
+    post({ progress: { step: 1 } });
+    const data = payload.data ? new Uint8Array(payload.data) : null;
+    post({ result: { threadId, value: payload.value, data } }, data ? [data.buffer] : []);
+  },
+  fail: (payload, post) => post({ error: { message: payload.message, stack: '' } }),
+  exit: (payload) => process.exit(payload.code),
+  hang: () => {}
+};
+
+parentPort.on('message', ({ id, task, payload }) => {
+  TASKS[task](payload, (message, transferList) => parentPort.postMessage({ id, ...message }, transferList));
+});
@@ -0,0 +1,230 @@
+/**
+ * @file gif.test.js
+ * @description Round-trip tests of the GIF encoder through an independent GIF decoder
+ * @author caed0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { GifReader } = require('omggif');
+const { encodeGif } = require('../src/gif.js');
+const { QUANTIZERS, DITHERS, bayerMatrix } = require('../src/quantize.js');
+const Converter = require('../src/Converter.js');
+
+const WIDTH = 64;
+const HEIGHT = 64;
+const images = path.join(__dirname, '..', 'examples', 'images');
+
+/**
+ * Builds a test frame: a color gradient with a transparent left edge, a semi-transparent column
+ * and an opaque black column.
+ * @param {number} shift - Offset of the gradient, so frames differ
+ * @returns {Uint8Array} RGBA pixels
+ */
+const makeFrame = (shift) => {
+  const pixels = new Uint8Array(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const i = (y * WIDTH + x) * 4;
+      const black = x === 20;
+      pixels[i] = black ? 0 : (x * 4 + shift) & 0xff;
+      pixels[i + 1] = black ? 0 : y * 4;
+      pixels[i + 2] = black ? 0 : 128 + shift;
+      pixels[i + 3] = x < 4 ? 0 : x === 6 ? 64 : 255;
+    }
+  }
+  return pixels;
+};
+
+/**
+ * Encodes freshly built test frames; the encoder processes alpha in place.
+ * @param {Object} [settings={}] - Task settings
+ * @returns {Promise<GifResult>} Encoding result
+ */
+const encode = (settings = {}) => encodeGif({
+  width: WIDTH,
+  height: HEIGHT,
+  loops: 0,
+  frames: [0, 40].map(shift => ({ data: makeFrame(shift), delay: 100 })),
+  quality: 10,
+  ...settings
+});
+
+/**
+ * Decodes every frame of a GIF on its own, as full-canvas RGBA.
+ * @param {Uint8Array} data - GIF data
+ * @returns {{reader: GifReader, frames: Uint8Array[]}} Decoder and decoded frames
+ */
+const decode = (data) => {
+  const reader = new GifReader(Buffer.from(data));
+  const frames = [];
+  for (let i = 0; i < reader.numFrames(); i++) {
+    const pixels = new Uint8Array(reader.width * reader.height * 4);
+    reader.decodeAndBlitFrameRGBA(i, pixels);
+    frames.push(pixels);
+  }
+  return { reader, frames };
+};
+
+/**
+ * Compares a decoded frame with its source.
+ * @param {Uint8Array} source - Source RGBA pixels
+ * @param {Uint8Array} decoded - Decoded RGBA pixels
+ * @returns {{rmse: number, alphaMismatch: number}} Color error of visible pixels and number of
+ *   pixels whose visibility changed (source alpha below 128 counts as transparent)
+ */
+const compare = (source, decoded) => {
+  let error = 0;
+  let count = 0;
+  let alphaMismatch = 0;
+  for (let i = 0; i < source.length; i += 4) {
+    const visible = source[i + 3] >= 128;
+    if (visible !== (decoded[i + 3] > 0)) alphaMismatch++;
+    if (!visible || !decoded[i + 3]) continue;
+    for (let c = 0; c < 3; c++) error += (source[i + c] - decoded[i + c]) ** 2;
+    count++;
+  }
+  return { rmse: Math.sqrt(error / count / 3), alphaMismatch };
+};
+
+for (const quantizer of QUANTIZERS) {
+  test(`round-trips frames quantized with ${quantizer}`, async () => {
+    const { data, warnings } = await encode({ quantizer, transparent: 'auto' });
+    const { reader, frames } = decode(data);
+    assert.strictEqual(reader.width, WIDTH);
+    assert.strictEqual(reader.height, HEIGHT);
+    assert.strictEqual(reader.numFrames(), 2);
+    assert.strictEqual(reader.loopCount(), 0);
+    assert.strictEqual(reader.frameInfo(0).delay, 10);
+    assert.deepStrictEqual(warnings, ['128 semi-transparent pixel(s) made fully transparent (alpha below 128)']);
+    frames.forEach((frame, i) => {
+      const { rmse, alphaMismatch } = compare(makeFrame(i * 40), frame);
+      assert.strictEqual(alphaMismatch, 0);
+      assert.ok(rmse < 12, `rmse ${rmse}`);
+    });
+  });
+}
+
+test('keeps black pixels visible with an automatic key color', async () => {
+  const { frames } = decode((await encode({ transparent: 'auto' })).data);
+  const black = (5 * WIDTH + 20) * 4;
+  assert.deepStrictEqual([...frames[0].subarray(black, black + 4)], [0, 0, 0, 255]);
+});
+
+test('picks an automatic key color that no other palette entry uses', async () => {
+  for (const quantizer of QUANTIZERS) {
+    const { data } = await encode({ quantizer, transparent: 'auto' });
+    const { reader } = decode(data);
+    for (let i = 0; i < reader.numFrames(); i++) {
+      const { palette_offset: offset, palette_size: size, transparent_index: key } = reader.frameInfo(i);
+      assert.notStrictEqual(key, null, `${quantizer} frame ${i}`);
+      const colors = Array.from({ length: size }, (_, entry) => data.subarray(offset + entry * 3, offset + entry * 3 + 3).join());
+      assert.strictEqual(colors.filter(color => color === colors[key]).length, 1, `${quantizer} frame ${i}`);
+    }
+  }
+});
+
+test('marks the palette entry closest to a key color as transparent', async () => {
+  const { reader, frames } = decode((await encode({ transparent: '0x000000' })).data);
+  assert.notStrictEqual(reader.frameInfo(0).transparent_index, null);
+  const { alphaMismatch } = compare(makeFrame(0), frames[0]);
+  // The black column shares its palette entry with the key color.
+  assert.strictEqual(alphaMismatch, HEIGHT);
+});
+
+test('accepts numeric key colors', async () => {
+  const numeric = await encode({ transparent: 0x00ff00 });
+  const text = await encode({ transparent: '0x00ff00' });
+  assert.deepStrictEqual(Buffer.from(numeric.data), Buffer.from(text.data));
+});
+
+test('fills transparent areas with an opaque color', async () => {
+  const { reader, frames } = decode((await encode({ transparent: '0x00ff00ff' })).data);
+  assert.strictEqual(reader.frameInfo(0).transparent_index, null);
+  assert.deepStrictEqual([...frames[0].subarray(0, 4)], [0, 255, 0, 255]);
+});
+
+test('blends semi-transparent pixels onto the matte color', async () => {
+  const settings = { quantizer: 'wu', transparent: 'auto', alphaMode: 'matte', alphaThreshold: 1, matte: '0xffffff' };
+  const { frames } = decode((await encode(settings)).data);
+  const source = makeFrame(0);
+  const i = (3 * WIDTH + 6) * 4;
+  for (let c = 0; c < 3; c++) {
+    const expected = Math.round((source[i + c] * 64 + 255 * 191) / 255);
+    assert.ok(Math.abs(frames[0][i + c] - expected) <= 16, `channel ${c}: ${frames[0][i + c]} vs ${expected}`);
+  }
+  assert.strictEqual(frames[0][i + 3], 255);
+});
+
+test('keeps semi-transparent pixels at or above the alpha threshold', async () => {
+  const { data, warnings } = await encode({ quantizer: 'wu', transparent: 'auto', alphaThreshold: 64 });
+  const { frames } = decode(data);
+  const i = (10 * WIDTH + 6) * 4;
+  assert.strictEqual(frames[0][i + 3], 255);
+  assert.strictEqual(frames[0][3], 0);
+  assert.deepStrictEqual(warnings, []);
+});
+
+test('dithers alpha into a pattern of transparent and opaque pixels', async () => {
+  const { data, warnings } = await encode({ quantizer: 'wu', transparent: 'auto', alphaMode: 'dither' });
+  const { frames } = decode(data);
+  const column = x => Array.from({ length: HEIGHT }, (_, y) => frames[0][(y * WIDTH + x) * 4 + 3]);
+  // Column 6 has alpha 64: its pixels stay visible where 25% beats the ordered threshold.
+  const matrix = bayerMatrix(8);
+  const expected = Array.from({ length: HEIGHT }, (_, y) => 64 / 255 > matrix[(y % 8) * 8 + 6] + 0.5 ? 255 : 0);
+  assert.deepStrictEqual(column(6), expected);
+  assert.ok(expected.includes(0) && expected.includes(255));
+  assert.ok(column(0).every(alpha => alpha === 0));
+  assert.ok(column(10).every(alpha => alpha === 255));
+  assert.deepStrictEqual(warnings, []);
+});
+
+for (const palette of ['global', 'per-frame', 'auto']) {
+  test(`round-trips frames with the ${palette} palette mode`, async () => {
+    const { frames } = decode((await encode({ quantizer: 'wu', palette, transparent: 'auto' })).data);
+    frames.forEach((frame, i) => assert.strictEqual(compare(makeFrame(i * 40), frame).alphaMismatch, 0));
+  });
+}
+
+test('shares one color table between frames with the global palette mode', async () => {
+  const { reader } = decode((await encode({ quantizer: 'wu', palette: 'global', transparent: 'auto' })).data);
+  for (let i = 0; i < reader.numFrames(); i++) {
+    assert.strictEqual(reader.frameInfo(i).has_local_palette, false, `frame ${i}`);
+  }
+  assert.strictEqual(reader.frameInfo(0).palette_offset, reader.frameInfo(1).palette_offset);
+});
+
+test('gives every frame its own color table with the per-frame palette mode', async () => {
+  const { reader } = decode((await encode({ quantizer: 'wu', palette: 'per-frame', transparent: 'auto' })).data);
+  for (let i = 0; i < reader.numFrames(); i++) {
+    assert.strictEqual(reader.frameInfo(i).has_local_palette, true, `frame ${i}`);
+  }
+});
+
+test('keeps the global or the per-frame encoding with the auto palette mode', async () => {
+  const settings = { quantizer: 'wu', transparent: 'auto' };
+  const [global, perFrame, auto] = await Promise.all(['global', 'per-frame', 'auto'].map(palette => encode({ ...settings, palette })));
+  const chosen = Buffer.from(auto.data);
+  assert.ok(chosen.equals(Buffer.from(global.data)) || chosen.equals(Buffer.from(perFrame.data)));
+});
+
+for (const dither of DITHERS) {
+  test(`round-trips frames dithered with ${dither}`, async () => {
+    const { frames } = decode((await encode({ quantizer: 'octree', dither, transparent: 'auto' })).data);
+    const { rmse, alphaMismatch } = compare(makeFrame(0), frames[0]);
+    assert.strictEqual(alphaMismatch, 0);
+    assert.ok(rmse < 40, `rmse ${rmse}`);
+  });
+}
+
+test('converts the example animation to GIF', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const animated = decode(await converter.convertJobs({
+    input: path.join(images, 'animated.webp'),
+    output: { type: 'buffer', format: 'gif' }
+  }));
+  assert.strictEqual(animated.reader.numFrames(), 4);
+  assert.strictEqual(animated.reader.loopCount(), 0);
+  assert.strictEqual(animated.reader.frameInfo(0).delay, 15);
+});
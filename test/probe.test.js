@@ -0,0 +1,73 @@
+/**
+ * @file probe.test.js
+ * @description Tests for the WebP metadata returned by probe()
+ * @author caed0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { probeWebP } = require('../src/riff.js');
+const Converter = require('../src/Converter.js');
+
+const images = path.join(__dirname, '..', 'examples', 'images');
+const read = (name) => fs.readFileSync(path.join(images, name));
+
+test('probes the static example', () => {
+  const metadata = probeWebP(read('static.webp'));
+  assert.strictEqual(metadata.animated, false);
+  assert.strictEqual(metadata.width, 128);
+  assert.strictEqual(metadata.height, 128);
+  assert.strictEqual(metadata.frameCount, 1);
+  assert.strictEqual(metadata.hasAlpha, true);
+  assert.strictEqual(metadata.hasEXIF, true);
+  assert.strictEqual(metadata.frames[0].compression, 'lossy');
+});
+
+test('probes the animated example', () => {
+  const metadata = probeWebP(read('animated.webp'));
+  assert.strictEqual(metadata.animated, true);
+  assert.strictEqual(metadata.width, 96);
+  assert.strictEqual(metadata.height, 96);
+  assert.strictEqual(metadata.frameCount, 4);
+  assert.strictEqual(metadata.loopCount, 0);
+  assert.strictEqual(metadata.duration, 600);
+  assert.deepStrictEqual(metadata.frames.map(frame => frame.delay), [150, 150, 150, 150]);
+});
+
+test('probes the animated example with transparency', () => {
+  const metadata = probeWebP(read('animated-transparent.webp'));
+  assert.strictEqual(metadata.animated, true);
+  assert.strictEqual(metadata.hasAlpha, true);
+  assert.strictEqual(metadata.frameCount, 71);
+  assert.strictEqual(metadata.duration, 2850);
+  assert.deepStrictEqual(metadata.frames[0], {
+    index: 0,
+    x: 38,
+    y: 0,
+    width: 75,
+    height: 128,
+    delay: 30,
+    blend: 'none',
+    dispose: 'none',
+    compression: 'lossy',
+    hasAlpha: true
+  });
+});
+
+test('probes files and in-memory data alike', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const fromFile = await converter.probe(path.join(images, 'animated.webp'));
+  const fromBuffer = await converter.probe(read('animated.webp'));
+  assert.deepStrictEqual(fromFile, fromBuffer);
+  assert.deepStrictEqual(await converter.probe(new Uint8Array(read('static.webp'))), probeWebP(read('static.webp')));
+});
+
+test('rejects missing and non-WebP inputs', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  await assert.rejects(converter.probe(), /Input is required/);
+  await assert.rejects(converter.probe(path.join(images, 'missing.webp')), /Input file does not exist/);
+  await assert.rejects(converter.probe(images), /Input is not a file/);
+  await assert.rejects(converter.probe(Buffer.from('GIF89a not a webp file')), /not a WebP file/);
+});
@@ -0,0 +1,115 @@
+/**
+ * @file quantize.test.js
+ * @description Tests for palette building, palette mapping and dithering of GIF frames
+ * @author caed0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { QUANTIZERS, DITHERS, bayerMatrix, buildPalette, closestIndex, mapPixels } = require('../src/quantize.js');
+
+const WIDTH = 16;
+const HEIGHT = 16;
+// Two grays; the frame below sits halfway between them.
+const palette = Uint8Array.from([96, 96, 96, 128, 128, 128]);
+
+/**
+ * Builds an opaque frame of a single gray.
+ * @param {number} gray - Gray level
+ * @returns {Uint8Array} RGBA pixels
+ */
+const flatFrame = (gray) => {
+  const pixels = new Uint8Array(WIDTH * HEIGHT * 4).fill(gray);
+  for (let i = 3; i < pixels.length; i += 4) pixels[i] = 255;
+  return pixels;
+};
+
+/**
+ * Averages the palette gray the pixels were mapped to.
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @returns {number} Mean gray level
+ */
+const meanGray = (indices) => indices.reduce((sum, index) => sum + palette[index * 3], 0) / indices.length;
+
+test('maps every pixel to the closest color without dithering', () => {
+  assert.deepStrictEqual([...new Set(mapPixels(flatFrame(108), palette))], [0]);
+  assert.deepStrictEqual([...new Set(mapPixels(flatFrame(116), palette, { width: WIDTH, dither: 'none' }))], [1]);
+});
+
+for (const dither of DITHERS.filter(dither => dither !== 'none')) {
+  test(`mixes palette colors to approximate in-between colors with ${dither}`, () => {
+    const indices = mapPixels(flatFrame(112), palette, { width: WIDTH, dither });
+    assert.strictEqual(new Set(indices).size, 2);
+    assert.ok(Math.abs(meanGray(indices) - 112) <= 2, `mean ${meanGray(indices)}`);
+  });
+
+  test(`turns ${dither} off at strength 0`, () => {
+    const frame = flatFrame(112);
+    assert.deepStrictEqual(mapPixels(frame, palette, { width: WIDTH, dither, strength: 0 }), mapPixels(frame, palette));
+  });
+}
+
+for (const size of [4, 8]) {
+  test(`tiles the bayer${size} pattern so identical areas dither identically`, () => {
+    const indices = mapPixels(flatFrame(112), palette, { width: WIDTH, dither: `bayer${size}` });
+    for (let y = 0; y < HEIGHT - size; y++) {
+      for (let x = 0; x < WIDTH - size; x++) {
+        assert.strictEqual(indices[y * WIDTH + x], indices[(y + size) * WIDTH + x + size], `pixel ${x},${y}`);
+      }
+    }
+  });
+
+  test(`builds a ${size}x${size} Bayer matrix of distinct centered thresholds`, () => {
+    const matrix = bayerMatrix(size);
+    assert.strictEqual(matrix.length, size * size);
+    assert.strictEqual(new Set(matrix).size, size * size);
+    assert.ok(matrix.every(value => value > -0.5 && value < 0.5));
+    assert.ok(Math.abs(matrix.reduce((sum, value) => sum + value, 0)) < 1e-4);
+  });
+}
+
+test('does not diffuse error from or into fully transparent pixels', () => {
+  const frame = flatFrame(112);
+  for (let x = 0; x < WIDTH; x++) frame[x * 4 + 3] = 0;
+  const indices = mapPixels(frame, palette, { width: WIDTH, dither: 'floyd-steinberg' });
+  assert.ok(indices.subarray(0, WIDTH).every(index => index === 0));
+  const opaque = mapPixels(flatFrame(112), palette, { width: WIDTH, dither: 'floyd-steinberg' });
+  assert.deepStrictEqual(indices.subarray(WIDTH, 2 * WIDTH), opaque.subarray(0, WIDTH));
+});
+
+/**
+ * Builds an opaque frame of horizontal stripes in the given colors.
+ * @param {Array<number[]>} colors - RGB colors, one stripe each
+ * @returns {Uint8Array} RGBA pixels
+ */
+const stripedFrame = (colors) => {
+  const pixels = new Uint8Array(WIDTH * HEIGHT * 4);
+  for (let i = 0; i < WIDTH * HEIGHT; i++) {
+    pixels.set([...colors[Math.floor(i / WIDTH) % colors.length], 255], i * 4);
+  }
+  return pixels;
+};
+
+for (const quantizer of QUANTIZERS) {
+  test(`builds a palette covering the colors of a frame with ${quantizer}`, () => {
+    const colors = [[255, 0, 0], [0, 255, 0], [0, 0, 255], [255, 255, 255]];
+    const built = buildPalette(stripedFrame(colors), { quantizer, quality: 1, colors: 16 });
+    assert.ok(built instanceof Uint8Array);
+    assert.strictEqual(built.length % 3, 0);
+    // NeuQuant always builds 256 entries; the GIF encoder trims its palette afterwards.
+    assert.ok(built.length / 3 <= (quantizer === 'neuquant' ? 256 : 16), `${built.length / 3} colors`);
+    for (const [r, g, b] of colors) {
+      const index = closestIndex(built, r, g, b);
+      const distance = Math.hypot(built[index * 3] - r, built[index * 3 + 1] - g, built[index * 3 + 2] - b);
+      assert.ok(distance < 24, `${[r, g, b]} is ${distance} away from its palette entry`);
+    }
+  });
+}
+
+test('treats quality settings beyond 30 as the fastest sampling factor', () => {
+  const frame = stripedFrame(Array.from({ length: HEIGHT }, (_, y) => [y * 16, 255 - y * 16, y * 8]));
+  for (const quantizer of ['neuquant', 'k-means']) {
+    const fastest = buildPalette(frame, { quantizer, quality: 30, colors: 8 });
+    assert.deepStrictEqual(buildPalette(frame, { quantizer, quality: 100, colors: 8 }), fastest, quantizer);
+  }
+});
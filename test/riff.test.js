@@ -0,0 +1,73 @@
+/**
+ * @file riff.test.js
+ * @description Tests for the WebP RIFF container parser
+ * @author caed0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { isWebP, parseWebP, probeWebP } = require('../src/riff.js');
+
+const images = path.join(__dirname, '..', 'examples', 'images');
+const read = (name) => fs.readFileSync(path.join(images, name));
+
+/**
+ * Appends a chunk to a WebP file and fixes up the RIFF size.
+ * @param {Buffer} data - WebP file contents
+ * @param {string} fourCC - Chunk identifier
+ * @param {Buffer} payload - Chunk payload
+ * @returns {Buffer} New WebP file contents
+ */
+const appendChunk = (data, fourCC, payload) => {
+  const header = Buffer.alloc(8);
+  header.write(fourCC, 0, 'latin1');
+  header.writeUInt32LE(payload.length, 4);
+  const padding = Buffer.alloc(payload.length % 2);
+  const out = Buffer.concat([data, header, payload, padding]);
+  out.writeUInt32LE(out.length - 8, 4);
+  return out;
+};
+
+test('ignores ANIM bytes outside the container structure', () => {
+  const data = appendChunk(read('static.webp'), 'XMP ', Buffer.from('<x>ANIM ANMF</x>'));
+  const metadata = probeWebP(data);
+  assert.strictEqual(metadata.animated, false);
+  assert.strictEqual(metadata.hasXMP, true);
+});
+
+test('recognizes WebP data by its magic bytes only', () => {
+  assert.strictEqual(isWebP(read('static.webp')), true);
+  assert.strictEqual(isWebP(Buffer.from('RIFF\0\0\0\0WAVE')), false);
+  assert.strictEqual(isWebP(Buffer.from('RIFF')), false);
+  assert.strictEqual(isWebP(Buffer.alloc(0)), false);
+});
+
+test('rejects data without a RIFF/WEBP header', () => {
+  assert.throws(() => probeWebP(Buffer.from('GIF89a not a webp file')), /not a WebP file/);
+  assert.throws(() => probeWebP(Buffer.from('RIFF\x04\0\0\0WAVE', 'latin1')), /not a WebP file/);
+});
+
+test('rejects a container without chunks', () => {
+  const data = Buffer.from('RIFF\x04\0\0\0WEBP', 'latin1');
+  assert.throws(() => parseWebP(data), /contains no chunks/);
+});
+
+test('rejects truncated files', () => {
+  const data = read('animated.webp');
+  for (const length of [20, 40, 100, data.length - 10]) {
+    assert.throws(() => probeWebP(data.subarray(0, length)), /Truncated WebP data|Invalid/, `length ${length}`);
+  }
+});
+
+test('rejects malformed chunks', () => {
+  const shortVp8x = Buffer.concat([Buffer.from('RIFF\x10\0\0\0WEBPVP8X\x04\0\0\0', 'latin1'), Buffer.alloc(4)]);
+  assert.throws(() => parseWebP(shortVp8x), /Invalid VP8X chunk/);
+
+  const badVp8 = Buffer.concat([Buffer.from('RIFF\x16\0\0\0WEBPVP8 \x0a\0\0\0', 'latin1'), Buffer.alloc(10)]);
+  assert.throws(() => parseWebP(badVp8), /Invalid VP8 bitstream header/);
+
+  const unknown = Buffer.concat([Buffer.from('RIFF\x10\0\0\0WEBPABCD\x04\0\0\0', 'latin1'), Buffer.alloc(4)]);
+  assert.throws(() => parseWebP(unknown), /Unexpected bitstream chunk/);
+});
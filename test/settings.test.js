@@ -0,0 +1,183 @@
+/**
+ * @file settings.test.js
+ * @description Tests for the validation of conversion settings
+ * @author caed0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatFromPath, validateSettings } = require('../src/settings.js');
+const { QUANTIZERS } = require('../src/quantize.js');
+
+/**
+ * Asserts that every settings object passes validation.
+ * @param {Object[]} valid - Settings expected to be accepted
+ */
+const assertAccepted = (valid) => {
+  for (const settings of valid) {
+    assert.doesNotThrow(() => validateSettings(settings), JSON.stringify(settings));
+  }
+};
+
+/**
+ * Asserts that every settings object fails validation with the expected message.
+ * @param {Array<[Object, RegExp]>} invalid - Settings and the error message they should cause
+ */
+const assertRejected = (invalid) => {
+  for (const [settings, message] of invalid) {
+    assert.throws(() => validateSettings(settings), message, JSON.stringify(settings));
+  }
+};
+
+test('validates the settings object and output format', () => {
+  assertAccepted([{}, { format: 'gif' }, { format: 'png' }]);
+  assertRejected([
+    [null, /Settings must be an object/],
+    [[], /Settings must be an object/],
+    [{ format: 'webp' }, /Output format must be one of/]
+  ]);
+});
+
+test('validates quantizer settings', () => {
+  assertAccepted([
+    ...QUANTIZERS.map(quantizer => ({ quantizer })),
+    { quality: 0 },
+    { quality: 1, quantizer: 'wu' },
+    { quality: 100, quantizer: 'k-means' }
+  ]);
+  assertRejected([
+    [{ quality: 101 }, /Quality must be a number from 0 to 100/],
+    [{ quality: -1 }, /Quality must be a number from 0 to 100/],
+    [{ quality: '10' }, /Quality must be a number from 0 to 100/],
+    [{ quantizer: 'median' }, /Quantizer must be one of/]
+  ]);
+});
+
+test('validates dwebp decoding settings', () => {
+  assertAccepted([
+    { crop: { x: 0, y: 0, width: 10, height: 10 }, flip: true, dwebp: { dither: 50, mt: true } },
+    { resize: { width: 64, height: 0 } },
+    { scale: 0.5 },
+    { dwebp: { noFancy: true, noFilter: true, alphaDither: true, noDither: true } }
+  ]);
+  assertRejected([
+    [{ crop: { x: 0, y: 0, width: 0, height: 10 } }, /Crop must be/],
+    [{ crop: { x: -1, y: 0, width: 10, height: 10 } }, /Crop must be/],
+    [{ resize: { width: 0, height: 0 } }, /Resize must be/],
+    [{ resize: { width: 1.5 } }, /Resize must be/],
+    [{ scale: 0 }, /Scale must be a positive number/],
+    [{ resize: { width: 10 }, scale: 2 }, /Use either 'resize' or 'scale'/],
+    [{ flip: 'yes' }, /Flip must be a boolean/],
+    [{ dwebp: { dither: 101 } }, /dwebp dither strength must be an integer from 0 to 100/],
+    [{ dwebp: { sharp: true } }, /Unknown dwebp option/],
+    [{ dwebp: { mt: 1 } }, /dwebp option mt must be a boolean/],
+    [{ dwebp: { dither: 10, noDither: true } }, /cannot be combined/]
+  ]);
+});
+
+test('detects output formats from file extensions', () => {
+  assert.strictEqual(formatFromPath('out.GIF'), 'gif');
+  assert.strictEqual(formatFromPath('out.webp'), null);
+});
+
+test('detects the static output formats written by dwebp from file extensions', () => {
+  for (const format of ['bmp', 'tiff', 'ppm', 'pam', 'pgm', 'yuv']) {
+    assert.strictEqual(formatFromPath(`out.${format}`), format);
+  }
+  assert.strictEqual(formatFromPath('out.TIF'), 'tiff');
+  assertAccepted([{ format: 'bmp' }, { format: 'yuv' }]);
+});
+
+test('validates frame selectors', () => {
+  assertAccepted([{ frame: 'first' }, { frame: 0 }, { frame: 3 }, { frame: { timeMs: 0 } }, { frame: { timeMs: 250 } }]);
+  assertRejected([
+    [{ frame: -1 }, /Frame must be/],
+    [{ frame: 1.5 }, /Frame must be/],
+    [{ frame: 'last' }, /Frame must be/],
+    [{ frame: { timeMs: -1 } }, /Frame must be/],
+    [{ frame: { timeMs: 10, index: 1 } }, /Frame must be/]
+  ]);
+});
+
+test('detects APNG output from its file extension', () => {
+  assert.strictEqual(formatFromPath('out.apng'), 'apng');
+  assert.strictEqual(formatFromPath('out.png'), 'png');
+  assertAccepted([{ format: 'apng' }]);
+});
+
+test('validates JPEG settings', () => {
+  assert.strictEqual(formatFromPath('out.jpg'), 'jpeg');
+  assert.strictEqual(formatFromPath('out.jpeg'), 'jpeg');
+  assertAccepted([
+    { background: '0x000000', jpeg: { quality: 100, progressive: true, chromaSubsampling: false } },
+    { jpeg: {} }
+  ]);
+  assertRejected([
+    [{ background: '#ffffff' }, /Background must be a color/],
+    [{ jpeg: 'high' }, /jpeg options must be an object/],
+    [{ jpeg: { quality: 0 } }, /jpeg quality must be an integer from 1 to 100/],
+    [{ jpeg: { quality: 50.5 } }, /jpeg quality must be an integer from 1 to 100/],
+    [{ jpeg: { progressive: 'yes' } }, /jpeg option progressive must be a boolean/],
+    [{ jpeg: { optimize: true } }, /Unknown jpeg option/]
+  ]);
+});
+
+test('validates dither settings', () => {
+  assertAccepted([
+    { dither: 'none' },
+    { dither: 'floyd-steinberg', ditherStrength: 1 },
+    { dither: 'atkinson' },
+    { dither: 'sierra', ditherStrength: 0 },
+    { dither: 'bayer4' },
+    { dither: 'bayer8', ditherStrength: 0.5 }
+  ]);
+  assertRejected([
+    [{ dither: 'random' }, /Dither must be one of/],
+    [{ ditherStrength: 2 }, /Dither strength must be a number from 0 to 1/],
+    [{ ditherStrength: -0.1 }, /Dither strength must be a number from 0 to 1/],
+    [{ ditherStrength: '1' }, /Dither strength must be a number from 0 to 1/]
+  ]);
+});
+
+test('validates palette modes', () => {
+  assertAccepted([{ palette: 'global' }, { palette: 'per-frame' }, { palette: 'auto' }]);
+  assertRejected([
+    [{ palette: 'local' }, /Palette must be one of/],
+    [{ palette: true }, /Palette must be one of/]
+  ]);
+});
+
+test('validates alpha handling settings', () => {
+  assertAccepted([
+    { alphaMode: 'threshold', alphaThreshold: 1 },
+    { alphaMode: 'matte', alphaThreshold: 255, matte: '0xFFFFFF' },
+    { alphaMode: 'dither' }
+  ]);
+  assertRejected([
+    [{ alphaMode: 'blend' }, /Alpha mode must be one of/],
+    [{ alphaThreshold: 0 }, /Alpha threshold must be an integer from 1 to 255/],
+    [{ alphaThreshold: 256 }, /Alpha threshold must be an integer from 1 to 255/],
+    [{ alphaThreshold: 127.5 }, /Alpha threshold must be an integer from 1 to 255/],
+    [{ matte: 'white' }, /Matte must be a color/],
+    [{ matte: '0xffffff00' }, /Matte must be a color/]
+  ]);
+});
+
+test('validates transparent colors', () => {
+  assertAccepted([
+    { transparent: 'auto' },
+    { transparent: '0x00ff00' },
+    { transparent: '0x00ff0000' },
+    { transparent: '0x00ff00FF' },
+    { transparent: 0x00ff00 },
+    { transparent: 0 }
+  ]);
+  assertRejected([
+    [{ transparent: '0x12345' }, /Transparent must be/],
+    [{ transparent: 'black' }, /Transparent must be/],
+    [{ transparent: 0x1000000 }, /Transparent must be/],
+    [{ transparent: -1 }, /Transparent must be/],
+    [{ transparent: 1.5 }, /Transparent must be/],
+    [{ transparent: '0x00000080' }, /Transparent color alpha must be 00 \(key color\) or ff/]
+  ]);
+});
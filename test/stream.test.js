@@ -0,0 +1,75 @@
+/**
+ * @file stream.test.js
+ * @description Tests for the Transform stream returned by createConvertStream()
+ * @author caed0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { GifReader } = require('omggif');
+const Converter = require('../src/Converter.js');
+
+const images = path.join(__dirname, '..', 'examples', 'images');
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Pipes data through a conversion stream in small chunks and collects the output.
+ * @param {Transform} stream - Conversion stream
+ * @param {Buffer} data - WebP data
+ * @returns {Promise<Buffer>} Converted data
+ */
+const convert = async (stream, data) => {
+  const chunks = [];
+  const chunked = Array.from({ length: Math.ceil(data.length / 1000) }, (_, i) => data.subarray(i * 1000, (i + 1) * 1000));
+  await pipeline(
+    Readable.from(chunked),
+    stream,
+    new Writable({
+      write: (chunk, encoding, callback) => {
+        chunks.push(chunk);
+        callback();
+      }
+    })
+  );
+  return Buffer.concat(chunks);
+};
+
+test('converts an animated input written in chunks to GIF', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const output = await convert(converter.createConvertStream(), fs.readFileSync(path.join(images, 'animated.webp')));
+  const reader = new GifReader(output);
+  assert.strictEqual(reader.width, 96);
+  assert.strictEqual(reader.numFrames(), 4);
+});
+
+test('converts a static input to PNG', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const output = await convert(converter.createConvertStream(), fs.readFileSync(path.join(images, 'static.webp')));
+  assert.deepStrictEqual(output.subarray(0, 8), PNG_SIGNATURE);
+});
+
+test('honours the requested format', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  const stream = converter.createConvertStream({ format: 'png' });
+  const output = await convert(stream, fs.readFileSync(path.join(images, 'animated.webp')));
+  assert.deepStrictEqual(output.subarray(0, 8), PNG_SIGNATURE);
+});
+
+test('fails on empty input', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  await assert.rejects(convert(converter.createConvertStream(), Buffer.alloc(0)), /Input stream is empty/);
+});
+
+test('fails on input that is not WebP', async () => {
+  const converter = new Converter({ backend: 'wasm' });
+  await assert.rejects(convert(converter.createConvertStream(), Buffer.from('not a webp file')));
+});
+
+test('rejects invalid settings when the stream is created', () => {
+  const converter = new Converter({ backend: 'wasm' });
+  assert.throws(() => converter.createConvertStream({ format: 'webp' }), /Output format must be one of/);
+});